@@ -0,0 +1,27 @@
+const auditService = require('../services/auditService');
+
+// Audit log (Admin) - filter by action, record, order number, staff member and date range,
+// e.g. ?orderNumber=SG-20261019-0042&action=order.status to see who cancelled an order
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { logs, pagination, error } = await auditService.findAuditLogs(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: logs,
+      pagination
+    });
+  } catch (error) {
+    console.error('❌ Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log'
+    });
+  }
+};
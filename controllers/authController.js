@@ -1,4 +1,6 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const auditService = require('../services/auditService');
 
 const signToken = (id) => {
   return jwt.sign({ id }, process.env.JWT_SECRET || 'gas_delivery_secret', {
@@ -6,48 +8,49 @@ const signToken = (id) => {
   });
 };
 
-// Hardcoded admin user for now
-const adminUser = {
-  _id: 'admin-user-id',
-  username: 'admin',
-  password: 'admin123',
-  role: 'admin'
-};
-
 exports.login = async (req, res) => {
   try {
     const { username, password } = req.body;
 
     console.log('🔐 Login attempt for:', username);
 
-    // Check if username and password exist
-    if (!username || !password) {
-      return res.status(400).json({
+    const user = await User.findOne({ username: username.toLowerCase() }).select('+password');
+
+    if (!user || !(await user.correctPassword(password, user.password))) {
+      console.log('❌ Invalid credentials for:', username);
+      // Failed attempts are kept too, so password guessing shows up in the audit log
+      await auditService.record(req, {
+        action: 'auth.login_failed',
+        entityType: 'User',
+        entityId: user ? user._id : undefined,
+        entityLabel: username
+      });
+      return res.status(401).json({
         success: false,
-        message: 'Please provide username and password'
+        message: 'Incorrect username or password'
       });
     }
 
-    // Simple authentication for admin
-    if (username === adminUser.username && password === adminUser.password) {
-      const token = signToken(adminUser._id);
-
-      console.log('✅ Login successful for admin');
-      return res.json({
-        success: true,
-        token,
-        data: {
-          id: adminUser._id,
-          username: adminUser.username,
-          role: adminUser.role
-        }
+    if (!user.isActive) {
+      console.log('⛔ Login refused for deactivated account:', username);
+      await auditService.record(req, { action: 'auth.login_refused', entityType: 'User', entityId: user._id, entityLabel: user.username, user });
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been deactivated. Please contact the office.'
       });
     }
 
-    console.log('❌ Invalid credentials for:', username);
-    return res.status(401).json({
-      success: false,
-      message: 'Incorrect username or password'
+    user.lastLoginAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    const token = signToken(user._id);
+
+    console.log(`✅ Login successful for ${user.username} (${user.role})`);
+    await auditService.record(req, { action: 'auth.login', entityType: 'User', entityId: user._id, entityLabel: user.username, user });
+    return res.json({
+      success: true,
+      token,
+      data: user.toSafeObject()
     });
 
   } catch (error) {
@@ -59,6 +62,31 @@ exports.login = async (req, res) => {
   }
 };
 
+// Resolve a JWT to an active user - shared by protect and the socket handshake
+const resolveTokenUser = async (token) => {
+  // Throws if the token is malformed or expired
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'gas_delivery_secret');
+  if (decoded.type === 'customer') {
+    return { message: 'Customer accounts cannot access staff features.' };
+  }
+
+  // Check the user still exists and is allowed in
+  const user = await User.findById(decoded.id);
+
+  if (!user) {
+    return { message: 'The user belonging to this token no longer exists.' };
+  }
+  if (!user.isActive) {
+    return { message: 'Your account has been deactivated. Please contact the office.' };
+  }
+  if (user.changedPasswordAfter(decoded.iat)) {
+    return { message: 'Password was recently changed. Please log in again.' };
+  }
+
+  return { user };
+};
+exports.resolveTokenUser = resolveTokenUser;
+
 exports.protect = async (req, res, next) => {
   try {
     let token;
@@ -75,25 +103,43 @@ exports.protect = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'gas_delivery_secret');
-    
-    // For now, just check if it's the admin token
-    if (decoded.id === adminUser._id) {
-      req.user = adminUser;
-      return next();
+    const { user, message } = await resolveTokenUser(token);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message
+      });
     }
 
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid token. Please log in again.'
-    });
+    req.user = user;
+    next();
 
   } catch (error) {
-    console.error('🚨 Token verification error:', error);
+    console.error('🚨 Token verification error:', error.message);
     res.status(401).json({
       success: false,
       message: 'Invalid token. Please log in again.'
     });
   }
-};
\ No newline at end of file
+};
+
+// Get the currently logged in user
+exports.getMe = (req, res) => {
+  res.json({
+    success: true,
+    data: req.user.toSafeObject()
+  });
+};
+
+// Restrict a route to the given roles - must run after protect
+exports.restrictTo = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    next();
+  };
+};
@@ -0,0 +1,173 @@
+const jwt = require('jsonwebtoken');
+const Customer = require('../models/Customer');
+const otpService = require('../services/otpService');
+const { normalizePhone } = require('../utils/phone');
+
+// Customer tokens carry a type so they can never pass as staff tokens, and vice versa
+const signCustomerToken = (id) => {
+  return jwt.sign({ id, type: 'customer' }, process.env.JWT_SECRET || 'gas_delivery_secret', {
+    expiresIn: process.env.CUSTOMER_JWT_EXPIRES_IN || '30d'
+  });
+};
+
+const getBearerToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+// Resolve a customer JWT to an active customer
+const resolveCustomerToken = async (token) => {
+  // Throws if the token is malformed or expired
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'gas_delivery_secret');
+  if (decoded.type !== 'customer') {
+    return { message: 'Please log in with your phone number.' };
+  }
+
+  const customer = await Customer.findById(decoded.id);
+  if (!customer) {
+    return { message: 'The account belonging to this token no longer exists.' };
+  }
+  if (!customer.isActive) {
+    return { message: 'Your account has been deactivated. Please contact the office.' };
+  }
+  return { customer };
+};
+
+// Step 1 - text a login code to the phone number
+exports.requestOtp = async (req, res) => {
+  try {
+    const phoneNumber = normalizePhone(req.body.phoneNumber || req.body.phone);
+    if (phoneNumber.length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid phone number'
+      });
+    }
+
+    const existing = await Customer.findOne({ phoneNumber });
+    if (existing && !existing.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been deactivated. Please contact the office.'
+      });
+    }
+
+    const { expiresAt, error, retryAfter } = await otpService.requestCode(phoneNumber);
+    if (error) {
+      return res.status(429).json({
+        success: false,
+        message: error,
+        retryAfter
+      });
+    }
+
+    console.log('📲 Login code sent to:', phoneNumber);
+    res.json({
+      success: true,
+      message: 'We have sent you a login code by SMS',
+      data: { phoneNumber, expiresAt }
+    });
+  } catch (error) {
+    console.error('❌ Request OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send login code'
+    });
+  }
+};
+
+// Step 2 - exchange the code for a token, creating the account on first login
+exports.verifyOtp = async (req, res) => {
+  try {
+    const phoneNumber = normalizePhone(req.body.phoneNumber || req.body.phone);
+    const { code, name } = req.body;
+
+    if (!phoneNumber || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your phone number and the code we sent you'
+      });
+    }
+
+    const result = await otpService.verifyCode(phoneNumber, code);
+    if (!result.ok) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // Orders placed before signing up are already linked to the same phone record
+    const customer = await Customer.findOneAndUpdate(
+      { phoneNumber },
+      { $set: { lastLoginAt: new Date() }, $setOnInsert: { name: name ? String(name).trim() : undefined } },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    if (!customer.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been deactivated. Please contact the office.'
+      });
+    }
+
+    console.log('✅ Customer logged in:', phoneNumber);
+    res.json({
+      success: true,
+      token: signCustomerToken(customer._id),
+      data: customer.toProfile()
+    });
+  } catch (error) {
+    console.error('❌ Verify OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify login code'
+    });
+  }
+};
+
+// Require a logged in customer
+exports.protectCustomer = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'You are not logged in. Please log in to get access.'
+      });
+    }
+
+    const { customer, message } = await resolveCustomerToken(token);
+    if (!customer) {
+      return res.status(401).json({
+        success: false,
+        message
+      });
+    }
+
+    req.customer = customer;
+    next();
+  } catch (error) {
+    console.error('🚨 Customer token verification error:', error.message);
+    res.status(401).json({
+      success: false,
+      message: 'Invalid token. Please log in again.'
+    });
+  }
+};
+
+// Attach the customer when a valid customer token is sent - guests carry on without one
+exports.identifyCustomer = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) return next();
+
+  try {
+    const { customer } = await resolveCustomerToken(token);
+    if (customer) req.customer = customer;
+  } catch (error) {
+    console.warn('⚠️ Ignoring invalid customer token:', error.message);
+  }
+  next();
+};
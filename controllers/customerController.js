@@ -0,0 +1,349 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const orderService = require('../services/orderService');
+const depositService = require('../services/depositService');
+const { buildTrackingView } = require('../utils/orderTracking');
+const { parseCoordinates } = require('../utils/geo');
+const { LANGUAGES } = require('../services/notifications/templates');
+
+// What a customer sees of their own order - tracking view plus what they bought
+const toCustomerOrder = async (order) => ({
+  id: order._id,
+  ...await buildTrackingView(order),
+  address: order.address,
+  items: order.items.map(item => ({
+    productId: item.productId,
+    name: item.name,
+    quantity: item.quantity,
+    price: item.price,
+    purchaseType: item.purchaseType,
+    deposit: item.deposit
+  })),
+  depositTotal: order.depositTotal,
+  deliveryFee: order.deliveryFee,
+  totalAmount: order.totalAmount,
+  paymentMethod: order.paymentMethod
+});
+
+// Validate a saved address from the request body - returns { address } or { error }
+const buildAddress = (body) => {
+  const address = body.address && String(body.address).trim();
+  if (!address) {
+    return { error: 'Address is required' };
+  }
+
+  const data = { address, label: body.label ? String(body.label).trim() : 'Home', isDefault: Boolean(body.isDefault) };
+  if (body.location) {
+    const coordinates = parseCoordinates(body.location.latitude, body.location.longitude);
+    if (!coordinates) {
+      return { error: 'Location must have a valid latitude and longitude' };
+    }
+    data.location = coordinates;
+  }
+  return { address: data };
+};
+
+// Only one saved address can be the default
+const setDefaultAddress = (customer, addressId) => {
+  customer.addresses.forEach(address => {
+    address.isDefault = address._id.equals(addressId);
+  });
+};
+
+// Get the logged in customer's profile and deposit balance
+exports.getProfile = async (req, res) => {
+  try {
+    const balance = await depositService.getCustomerBalance(req.customer.phoneNumber);
+
+    res.json({
+      success: true,
+      data: {
+        ...req.customer.toProfile(),
+        deposits: {
+          cylinders: balance.cylinders,
+          depositsHeld: balance.depositsHeld,
+          sizes: balance.sizes
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get customer profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch profile'
+    });
+  }
+};
+
+// Update the customer's name or message language - the phone number is the account and cannot change
+exports.updateProfile = async (req, res) => {
+  try {
+    const { name, language } = req.body;
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide your name'
+        });
+      }
+      req.customer.name = String(name).trim();
+    }
+    if (language !== undefined) {
+      if (!LANGUAGES.includes(language)) {
+        return res.status(400).json({
+          success: false,
+          message: `Language must be one of: ${LANGUAGES.join(', ')}`
+        });
+      }
+      req.customer.language = language;
+    }
+
+    await req.customer.save();
+
+    res.json({
+      success: true,
+      message: 'Profile updated',
+      data: req.customer.toProfile()
+    });
+  } catch (error) {
+    console.error('❌ Update customer profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update profile'
+    });
+  }
+};
+
+// Save a new delivery address
+exports.addAddress = async (req, res) => {
+  try {
+    const { address, error } = buildAddress(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const customer = req.customer;
+    customer.addresses.push(address);
+    const saved = customer.addresses[customer.addresses.length - 1];
+    if (address.isDefault || customer.addresses.length === 1) {
+      setDefaultAddress(customer, saved._id);
+    }
+    await customer.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Address saved',
+      data: customer.addresses
+    });
+  } catch (error) {
+    console.error('❌ Add address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save address'
+    });
+  }
+};
+
+// Change a saved address
+exports.updateAddress = async (req, res) => {
+  try {
+    const customer = req.customer;
+    const existing = customer.addresses.id(req.params.addressId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    const { address, error } = buildAddress({
+      label: existing.label,
+      address: existing.address,
+      isDefault: existing.isDefault,
+      location: existing.location && existing.location.latitude !== undefined ? existing.location : undefined,
+      ...req.body
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    existing.set(address);
+    if (address.isDefault) {
+      setDefaultAddress(customer, existing._id);
+    }
+    await customer.save();
+
+    res.json({
+      success: true,
+      message: 'Address updated',
+      data: customer.addresses
+    });
+  } catch (error) {
+    console.error('❌ Update address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update address'
+    });
+  }
+};
+
+// Remove a saved address
+exports.deleteAddress = async (req, res) => {
+  try {
+    const customer = req.customer;
+    const existing = customer.addresses.id(req.params.addressId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    const wasDefault = existing.isDefault;
+    existing.deleteOne();
+    if (wasDefault && customer.addresses.length > 0) {
+      setDefaultAddress(customer, customer.addresses[0]._id);
+    }
+    await customer.save();
+
+    res.json({
+      success: true,
+      message: 'Address removed',
+      data: customer.addresses
+    });
+  } catch (error) {
+    console.error('❌ Delete address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove address'
+    });
+  }
+};
+
+// Order history for the logged in customer
+exports.getMyOrders = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const query = { customerAccount: req.customer._id };
+
+    const [orders, total] = await Promise.all([
+      Order.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Order.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: await Promise.all(orders.map(toCustomerOrder)),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get customer orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch your orders'
+    });
+  }
+};
+
+// One of the customer's own orders
+exports.getMyOrder = async (req, res) => {
+  try {
+    const order = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Order.findOne({ _id: req.params.id, customerAccount: req.customer._id })
+      : null;
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await toCustomerOrder(order)
+    });
+  } catch (error) {
+    console.error('❌ Get customer order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order'
+    });
+  }
+};
+
+// Place a past order again at today's prices - the address can be swapped for another saved one
+exports.reorder = async (req, res) => {
+  try {
+    const previous = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Order.findOne({ _id: req.params.id, customerAccount: req.customer._id })
+      : null;
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const { addressId, deliverySlot, paymentMethod, notes } = req.body;
+    // The name comes from the account, not from the old order's delivery snapshot
+    const input = {
+      items: previous.items.map(item => ({
+        productId: item.productId,
+        name: item.name,
+        quantity: item.quantity,
+        purchaseType: item.purchaseType
+      })),
+      paymentMethod: paymentMethod || previous.paymentMethod,
+      deliverySlot,
+      notes
+    };
+    if (!addressId) {
+      input.address = previous.address;
+      input.location = previous.location && previous.location.latitude !== undefined ? previous.location : undefined;
+    }
+
+    const io = req.app.get('io');
+    const { order, status, message, errors } = await orderService.placeOrder(
+      { ...input, addressId },
+      { io, customerAccount: req.customer }
+    );
+
+    if (!order) {
+      return res.status(status).json({
+        success: false,
+        message,
+        errors
+      });
+    }
+
+    console.log(`🔁 Reorder ${previous.orderNumber} -> ${order.orderNumber}`);
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully! We will message you as your order progresses.',
+      data: await toCustomerOrder(order)
+    });
+  } catch (error) {
+    console.error('❌ Reorder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to place order. Please try again.'
+    });
+  }
+};
@@ -0,0 +1,77 @@
+const DepositLedger = require('../models/DepositLedger');
+const depositService = require('../services/depositService');
+const { normalizePhone } = require('../utils/phone');
+
+// Get a customer's cylinder and deposit balance (Staff)
+exports.getCustomerDeposits = async (req, res) => {
+  try {
+    const balance = await depositService.getCustomerBalance(req.params.phone);
+
+    res.json({
+      success: true,
+      data: balance
+    });
+  } catch (error) {
+    console.error('❌ Get customer deposits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch deposit balance'
+    });
+  }
+};
+
+// Record a refund, returned cylinder or correction (Staff)
+exports.createLedgerEntry = async (req, res) => {
+  try {
+    const { type, sizeKg, cylinders = 0, amount = 0, note } = req.body;
+    const allowedTypes = ['refund', 'return', 'adjustment'];
+
+    if (!allowedTypes.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${allowedTypes.join(', ')}`
+      });
+    }
+
+    const cylinderCount = Number(cylinders);
+    const money = Number(amount);
+    if (!Number.isInteger(cylinderCount) || !Number.isFinite(money)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cylinders must be a whole number and amount must be a number'
+      });
+    }
+
+    if (type === 'adjustment' && (!note || !String(note).trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note is required for manual adjustments'
+      });
+    }
+
+    // Refunds and returns always reduce what the customer holds, whatever sign was sent
+    const entry = await DepositLedger.create({
+      phoneNumber: normalizePhone(req.params.phone),
+      type,
+      sizeKg: sizeKg ? Number(sizeKg) : undefined,
+      cylinders: type === 'adjustment' ? cylinderCount : -Math.abs(cylinderCount),
+      amount: type === 'refund' ? -Math.abs(money) : (type === 'adjustment' ? money : 0),
+      note,
+      user: req.user._id
+    });
+
+    console.log(`💰 Deposit ledger ${type} for ${entry.phoneNumber}: ${entry.cylinders} cylinders, ${entry.amount}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Ledger entry recorded',
+      data: entry
+    });
+  } catch (error) {
+    console.error('❌ Create ledger entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record ledger entry'
+    });
+  }
+};
@@ -0,0 +1,396 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { ADMIN_ROOM, emitOrderUpdate } = require('../socket');
+const { serializeOrder } = require('../serializers/orderSerializer');
+const locationService = require('../services/locationService');
+const notificationService = require('../services/notificationService');
+const cashService = require('../services/cashService');
+const DriverShift = require('../models/DriverShift');
+const { isCalendarDate } = require('../utils/time');
+
+// Orders still on a driver's plate
+const ACTIVE_STATUSES = ['confirmed', 'preparing', 'on_the_way'];
+
+// Get my active jobs (Driver)
+exports.getMyOrders = async (req, res) => {
+  try {
+    const orders = await Order.find({
+      assignedDriver: req.user._id,
+      status: { $in: ACTIVE_STATUSES }
+    }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: orders.map(order => serializeOrder(order, req.orderFormat))
+    });
+  } catch (error) {
+    console.error('❌ Get driver orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch your orders'
+    });
+  }
+};
+
+// Accept an assigned order - it goes out for delivery straight away (Driver)
+exports.acceptOrder = async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, assignedDriver: req.user._id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.assignmentStatus === 'accepted') {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already accepted this order'
+      });
+    }
+
+    if (order.status !== 'on_the_way' && !order.canTransitionTo('on_the_way')) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot start delivery while the order is ${order.status}`,
+        currentStatus: order.status
+      });
+    }
+
+    order.recordAssignment('accepted', { driver: req.user, user: req.user });
+    const startsDelivery = order.status !== 'on_the_way';
+    if (startsDelivery) {
+      order.transitionTo('on_the_way', { user: req.user, note: 'Accepted by driver' });
+    }
+    await order.save();
+
+    console.log(`✅ Order ${order.orderNumber} accepted by ${req.user.username}`);
+
+    await emitOrderUpdate(req.app.get('io'), order);
+    if (startsDelivery) {
+      notificationService.notifyOrderEvent(order, 'on_the_way');
+    }
+
+    res.json({
+      success: true,
+      message: 'Order accepted - drive safely!',
+      data: serializeOrder(order, req.orderFormat)
+    });
+  } catch (error) {
+    console.error('❌ Accept order error:', error);
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'Order was updated by someone else. Please refresh and try again.'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept order'
+    });
+  }
+};
+
+// Hand an assigned order back to dispatch (Driver)
+exports.declineOrder = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const order = await Order.findOne({ _id: req.params.id, assignedDriver: req.user._id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.assignmentStatus === 'accepted') {
+      return res.status(409).json({
+        success: false,
+        message: 'You already accepted this order - ask dispatch to reassign it'
+      });
+    }
+
+    order.recordAssignment('declined', { driver: req.user, user: req.user, note: reason });
+    await order.save();
+
+    console.log(`↩️ Order ${order.orderNumber} declined by ${req.user.username}`);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(ADMIN_ROOM).emit('order_declined', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        driver: req.user.toSafeObject(),
+        reason
+      });
+    }
+    await emitOrderUpdate(io, order);
+
+    res.json({
+      success: true,
+      message: 'Order handed back to dispatch',
+      data: serializeOrder(order, req.orderFormat)
+    });
+  } catch (error) {
+    console.error('❌ Decline order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline order'
+    });
+  }
+};
+
+// Active jobs per driver for the dashboard (Dispatch)
+exports.getDriverWorkload = async (req, res) => {
+  try {
+    const [drivers, workload] = await Promise.all([
+      User.find({ role: 'driver', isActive: true }).sort({ name: 1, username: 1 }),
+      Order.aggregate([
+        { $match: { assignedDriver: { $ne: null }, status: { $in: ACTIVE_STATUSES } } },
+        {
+          $group: {
+            _id: '$assignedDriver',
+            activeOrders: { $sum: 1 },
+            awaitingAcceptance: { $sum: { $cond: [{ $eq: ['$assignmentStatus', 'assigned'] }, 1, 0] } },
+            onTheWay: { $sum: { $cond: [{ $eq: ['$status', 'on_the_way'] }, 1, 0] } },
+            orderNumbers: { $push: '$orderNumber' }
+          }
+        }
+      ])
+    ]);
+
+    const byDriver = new Map(workload.map(row => [row._id.toString(), row]));
+
+    res.json({
+      success: true,
+      data: drivers.map(driver => {
+        const row = byDriver.get(driver._id.toString());
+        return {
+          driver: driver.toSafeObject(),
+          activeOrders: row ? row.activeOrders : 0,
+          awaitingAcceptance: row ? row.awaitingAcceptance : 0,
+          onTheWay: row ? row.onTheWay : 0,
+          orderNumbers: row ? row.orderNumbers : []
+        };
+      })
+    });
+  } catch (error) {
+    console.error('❌ Get driver workload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch driver workload'
+    });
+  }
+};
+
+// Report my current position (Driver) - the app can also emit 'driver_location' over the socket
+exports.updateMyLocation = async (req, res) => {
+  try {
+    const { location, error } = await locationService.recordDriverLocation(req.user, req.body, req.app.get('io'));
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        updatedAt: location.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('❌ Update driver location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update location'
+    });
+  }
+};
+
+// Last known position of every driver (Dispatch)
+exports.getDriverLocations = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await locationService.getDriverLocations()
+    });
+  } catch (error) {
+    console.error('❌ Get driver locations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch driver locations'
+    });
+  }
+};
+
+// Load a driver for the staff cash endpoints - returns null when the id is not a driver
+const findDriver = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return User.findOne({ _id: id, role: 'driver' });
+};
+
+// My cash for the day so I can check it before handing in (Driver)
+exports.getMyReconciliation = async (req, res) => {
+  try {
+    const { date, error } = cashService.resolveDate(req.query.date);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const reconciliation = await cashService.getReconciliation(req.user._id, date);
+
+    res.json({
+      success: true,
+      data: {
+        driver: req.user.toSafeObject(),
+        ...reconciliation
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get my reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch cash summary'
+    });
+  }
+};
+
+// Expected vs collected cash for one driver and day (Staff)
+exports.getDriverReconciliation = async (req, res) => {
+  try {
+    const { date, error } = cashService.resolveDate(req.query.date);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const driver = await findDriver(req.params.driverId);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    const reconciliation = await cashService.getReconciliation(driver._id, date);
+
+    res.json({
+      success: true,
+      data: {
+        driver: driver.toSafeObject(),
+        ...reconciliation
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get driver reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliation'
+    });
+  }
+};
+
+// Close a driver's day once the cash is counted in (Admin)
+exports.closeDriverShift = async (req, res) => {
+  try {
+    const { cashReceived, note } = req.body;
+    const { date, error } = cashService.resolveDate(req.body.date);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const driver = await findDriver(req.params.driverId);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    const { reconciliation, status, message } = await cashService.closeShift(driver, date, {
+      user: req.user,
+      cashReceived,
+      note
+    });
+    if (!reconciliation) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: reconciliation.shift.handoverDifference === 0
+        ? 'Shift closed'
+        : `Shift closed with a handover difference of ${reconciliation.shift.handoverDifference}`,
+      data: {
+        driver: driver.toSafeObject(),
+        ...reconciliation
+      }
+    });
+  } catch (error) {
+    console.error('❌ Close driver shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close shift'
+    });
+  }
+};
+
+// Closed shifts, newest first (Staff)
+exports.getShifts = async (req, res) => {
+  try {
+    const { driver, from, to } = req.query;
+    const query = {};
+    if (driver && mongoose.Types.ObjectId.isValid(driver)) {
+      query.driver = driver;
+    }
+    // Shift dates are stored as YYYY-MM-DD strings - anything else, such as from[$gt]=, is refused
+    if ((from && !isCalendarDate(from)) || (to && !isCalendarDate(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates in YYYY-MM-DD format'
+      });
+    }
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = from;
+      if (to) query.date.$lte = to;
+    }
+
+    const shifts = await DriverShift.find(query)
+      .select('-orders')
+      .sort({ date: -1, closedAt: -1 })
+      .limit(200)
+      .populate('driver', 'name username');
+
+    res.json({
+      success: true,
+      data: shifts
+    });
+  } catch (error) {
+    console.error('❌ Get shifts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shifts'
+    });
+  }
+};
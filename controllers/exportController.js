@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const exportService = require('../services/exportService');
+const cashService = require('../services/cashService');
+const { buildOrderFilter } = require('../utils/orderFilters');
+
+// Download orders as CSV - takes the same filters as the order list (Staff)
+exports.exportOrdersCsv = async (req, res) => {
+  try {
+    const { filter, error } = buildOrderFilter(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { from, to } = req.query;
+    const filename = `orders${from ? `-${from}` : ''}${to ? `-to-${to}` : ''}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const count = await exportService.streamOrdersCsv(filter, res);
+    console.log(`📤 Exported ${count} orders to CSV for ${req.user.username}`);
+  } catch (error) {
+    console.error('❌ Export orders error:', error);
+    // Once rows have gone out the only option is to cut the download short
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export orders'
+    });
+  }
+};
+
+// Printable summary of one day (Staff)
+exports.exportDailySummaryPdf = async (req, res) => {
+  try {
+    const { date, error: dateError } = cashService.resolveDate(req.query.date);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError
+      });
+    }
+
+    const { doc, error } = await exportService.buildDailySummary(date);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="daily-summary-${date}.pdf"`);
+    doc.pipe(res);
+  } catch (error) {
+    console.error('❌ Export daily summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build daily summary'
+    });
+  }
+};
+
+// Delivery slip / invoice for one order - drivers can print their own (Staff, Driver)
+exports.exportOrderSlipPdf = async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+    if (req.user.role === 'driver') {
+      query.assignedDriver = req.user._id;
+    }
+    const order = mongoose.Types.ObjectId.isValid(req.params.id) ? await Order.findOne(query) : null;
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const doc = exportService.buildOrderSlip(order);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="slip-${order.orderNumber}.pdf"`);
+    doc.pipe(res);
+  } catch (error) {
+    console.error('❌ Export order slip error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build delivery slip'
+    });
+  }
+};
@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const Depot = require('../models/Depot');
+const Inventory = require('../models/Inventory');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const inventoryService = require('../services/inventoryService');
+
+// Get stock levels (Staff)
+exports.getInventory = async (req, res) => {
+  try {
+    const { depot, product, low } = req.query;
+
+    const query = {};
+    if (depot && mongoose.Types.ObjectId.isValid(depot)) query.depot = depot;
+    if (product && mongoose.Types.ObjectId.isValid(product)) query.product = product;
+
+    let levels = await Inventory.find(query)
+      .populate('product', 'name sku category sizeKg isActive')
+      .populate('depot', 'name code');
+
+    if (low === 'true') {
+      levels = levels.filter(level => level.isLow());
+    }
+
+    res.json({
+      success: true,
+      data: levels
+    });
+  } catch (error) {
+    console.error('❌ Get inventory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch inventory'
+    });
+  }
+};
+
+// Adjust stock with a reason (Admin only) - positive adds, negative removes
+exports.adjustStock = async (req, res) => {
+  try {
+    const { product: productId, depot: depotRef, quantity, reason, lowStockThreshold } = req.body;
+    const change = Number(quantity);
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid product is required'
+      });
+    }
+
+    if (!Number.isInteger(change)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a whole number'
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for every stock adjustment'
+      });
+    }
+
+    const threshold = lowStockThreshold === undefined || lowStockThreshold === null || lowStockThreshold === ''
+      ? undefined
+      : Number(lowStockThreshold);
+    if (threshold !== undefined && (!Number.isInteger(threshold) || threshold < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Low stock threshold must be a whole number of 0 or more'
+      });
+    }
+
+    const [product, depot] = await Promise.all([
+      Product.findById(productId),
+      inventoryService.resolveDepot(depotRef)
+    ]);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (!depot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Depot not found'
+      });
+    }
+
+    const inventory = await inventoryService.adjustStock({
+      productId: product._id,
+      depot,
+      quantity: change,
+      reason: String(reason).trim(),
+      lowStockThreshold: threshold,
+      user: req.user,
+      io: req.app.get('io')
+    });
+
+    if (!inventory) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot remove more stock than is available (reserved stock is held for open orders)'
+      });
+    }
+
+    console.log(`📦 Stock adjusted: ${product.name} at ${depot.code} by ${change} (${reason})`);
+
+    res.json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: inventory
+    });
+  } catch (error) {
+    console.error('❌ Adjust stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust stock'
+    });
+  }
+};
+
+// Get stock movement log (Staff)
+exports.getStockMovements = async (req, res) => {
+  try {
+    const { product, depot, type, limit = 100 } = req.query;
+
+    const query = {};
+    if (product && mongoose.Types.ObjectId.isValid(product)) query.product = product;
+    if (depot && mongoose.Types.ObjectId.isValid(depot)) query.depot = depot;
+    if (type) query.type = type;
+
+    const movements = await StockMovement.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit, 10) || 100, 500))
+      .populate('product', 'name sku')
+      .populate('depot', 'name code')
+      .populate('user', 'username name');
+
+    res.json({
+      success: true,
+      data: movements
+    });
+  } catch (error) {
+    console.error('❌ Get stock movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock movements'
+    });
+  }
+};
+
+// Get depots (Staff)
+exports.getDepots = async (req, res) => {
+  try {
+    const depots = await Depot.find().sort({ createdAt: 1 });
+    res.json({
+      success: true,
+      data: depots
+    });
+  } catch (error) {
+    console.error('❌ Get depots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch depots'
+    });
+  }
+};
+
+// Create depot (Admin only)
+exports.createDepot = async (req, res) => {
+  try {
+    const { name, code, address, orderPrefix } = req.body;
+    const depot = await Depot.create({ name, code, address, orderPrefix });
+
+    res.status(201).json({
+      success: true,
+      message: 'Depot created successfully',
+      data: depot
+    });
+  } catch (error) {
+    console.error('❌ Create depot error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.code === 11000 ? 'A depot with this code already exists' : 'Failed to create depot',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update depot (Admin only)
+exports.updateDepot = async (req, res) => {
+  try {
+    const { name, address, isActive, orderPrefix } = req.body;
+    const depot = await Depot.findByIdAndUpdate(
+      req.params.id,
+      { name, address, isActive, orderPrefix },
+      { new: true, runValidators: true }
+    );
+
+    if (!depot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Depot not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Depot updated successfully',
+      data: depot
+    });
+  } catch (error) {
+    console.error('❌ Update depot error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update depot'
+    });
+  }
+};
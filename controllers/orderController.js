@@ -1,108 +1,54 @@
 const Order = require('../models/Order');
-const { generateOrderNumber } = require('../utils/generateOrderNumber');
+const User = require('../models/User');
+const { buildTrackingView } = require('../utils/orderTracking');
+const { ADMIN_ROOM, driverRoom, emitOrderUpdate } = require('../socket');
+const orderService = require('../services/orderService');
+const inventoryService = require('../services/inventoryService');
+const depositService = require('../services/depositService');
+const locationService = require('../services/locationService');
+const scheduleService = require('../services/scheduleService');
+const notificationService = require('../services/notificationService');
+const cashService = require('../services/cashService');
+const orderQueryService = require('../services/orderQueryService');
+const { parseCoordinates } = require('../utils/geo');
+const { buildOrderFilter } = require('../utils/orderFilters');
+const { serializeOrder, serializeSocketOrder, serializeReceipt } = require('../serializers/orderSerializer');
+const { roundMoney } = require('../utils/pricing');
+const { getLocalParts, zonedTimeToUtc } = require('../utils/time');
+
+// Statuses a driver is allowed to set on their own orders
+const DRIVER_STATUSES = ['on_the_way', 'delivered'];
+
+// Drivers only ever see orders assigned to them
+const scopeToUser = (user, query = {}) => {
+  if (user && user.role === 'driver') {
+    return { ...query, assignedDriver: user._id };
+  }
+  return query;
+};
 
 // Create new order (Customer facing)
 exports.createOrder = async (req, res) => {
   try {
     console.log('📦 Received order request body:', JSON.stringify(req.body, null, 2));
 
-    const { 
-      customerName, 
-      phoneNumber, 
-      address, 
-      customer, // Support nested customer object
-      items, 
-      totalAmount, 
-      total, // Support both totalAmount and total
-      paymentMethod, 
-      location,
-      deliveryAddress 
-    } = req.body;
-
-    // Extract customer info from nested object if provided
-    const finalCustomerName = customerName || (customer && customer.name);
-    const finalPhoneNumber = phoneNumber || (customer && customer.phone);
-    const finalAddress = address || deliveryAddress || (customer && customer.address);
-    const finalTotalAmount = totalAmount || total;
-
-    console.log('🔍 Extracted order data:', {
-      customerName: finalCustomerName,
-      phoneNumber: finalPhoneNumber,
-      address: finalAddress,
-      itemsCount: items?.length,
-      totalAmount: finalTotalAmount
-    });
-
-    // Validation
-    if (!finalCustomerName || !finalPhoneNumber || !finalAddress) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide customer name, phone number, and address'
-      });
-    }
-
-    if (!items || items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please add at least one item to the order'
-      });
-    }
+    const io = req.app.get('io');
+    // Logged in customers are identified by their token, guests by the phone number they give
+    const { order, priceWarning, payment, paymentError, duplicateOf, status, message, errors } = await orderService.placeOrder(req.body, { io, customerAccount: req.customer });
 
-    if (!finalTotalAmount || finalTotalAmount <= 0) {
-      return res.status(400).json({
+    if (!order) {
+      return res.status(status).json({
         success: false,
-        message: 'Total amount must be greater than 0'
+        message,
+        errors
       });
     }
 
-    const orderData = {
-      customerName: finalCustomerName,
-      phoneNumber: finalPhoneNumber,
-      address: finalAddress,
-      deliveryAddress: finalAddress,
-      customer: customer || {
-        name: finalCustomerName,
-        phone: finalPhoneNumber,
-        address: finalAddress
-      },
-      location,
-      items: items.map(item => ({
-        productId: item.productId || item.id?.toString(),
-        name: item.name || item.product,
-        quantity: item.quantity,
-        price: item.price,
-        image: item.image,
-        product: item.product || item.name
-      })),
-      totalAmount: finalTotalAmount,
-      total: finalTotalAmount,
-      paymentMethod: paymentMethod || 'cash_on_delivery',
-      orderNumber: generateOrderNumber()
-    };
-
-    console.log('🔄 Creating order in database:', orderData);
-
-    const order = await Order.create(orderData);
-
-    console.log('✅ Order created successfully:', order.orderNumber);
-
-    // Emit real-time update to office admin panel
-    const io = req.app.get('io');
-    if (io) {
-      io.to('admin_room').emit('new_order', order);
-      console.log('📢 Real-time notification sent to admin');
-    }
-
-    // Customer response - only basic info, no order history access
+    // Customer response - only basic info, history lives under /api/customers/me/orders
     res.status(201).json({
       success: true,
-      message: 'Order placed successfully! Our team will contact you shortly.',
-      data: {
-        orderNumber: order.orderNumber,
-        totalAmount: order.totalAmount,
-        estimatedDelivery: '30-45 minutes',
-        contactInfo: 'If you have questions, call: +1234567890'
-      }
+      message: 'Order placed successfully! We will message you as your order progresses.',
+      data: serializeReceipt(order, { priceWarning, duplicateOf, payment, paymentError }, req.orderFormat)
     });
   } catch (error) {
     console.error('❌ Order creation error:', error);
@@ -114,31 +60,29 @@ exports.createOrder = async (req, res) => {
   }
 };
 
-// Get all orders (Admin only)
+// Get all orders (Staff) - filters, sort and cursor pagination, see orderQueryService
 exports.getAllOrders = async (req, res) => {
   try {
-    const { status, page = 1, limit = 50 } = req.query;
-    
-    let query = {};
-    if (status && status !== 'all') {
-      query.status = status;
+    const { filter, error } = buildOrderFilter(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
     }
 
-    const orders = await Order.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Order.countDocuments(query);
+    const result = await orderQueryService.findOrderPage(scopeToUser(req.user, filter), req.query);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
 
     res.json({
       success: true,
-      data: orders,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total
-      }
+      data: result.orders.map(order => serializeOrder(order, req.orderFormat)),
+      pagination: result.pagination
     });
   } catch (error) {
     console.error('❌ Get orders error:', error);
@@ -152,7 +96,7 @@ exports.getAllOrders = async (req, res) => {
 // Get order by ID
 exports.getOrderById = async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id);
+    const order = await Order.findOne(scopeToUser(req.user, { _id: req.params.id }));
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -161,7 +105,7 @@ exports.getOrderById = async (req, res) => {
     }
     res.json({
       success: true,
-      data: order
+      data: serializeOrder(order, req.orderFormat)
     });
   } catch (error) {
     console.error('❌ Get order by ID error:', error);
@@ -172,24 +116,48 @@ exports.getOrderById = async (req, res) => {
   }
 };
 
+// Track order (Customer facing) - phone number acts as a second factor
+exports.trackOrder = async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+    const { phone } = req.query;
+
+    const order = await Order.findOne({ orderNumber });
+
+    // Same response for unknown order and wrong phone so numbers cannot be probed
+    if (!order || !order.matchesPhone(phone)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found. Please check the order number and phone number.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await buildTrackingView(order)
+    });
+  } catch (error) {
+    console.error('❌ Track order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to track order'
+    });
+  }
+};
+
 // Update order status
 exports.updateOrderStatus = async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'confirmed', 'preparing', 'on_the_way', 'delivered', 'cancelled'];
-    
-    if (!status || !validStatuses.includes(status)) {
-      return res.status(400).json({
+    const { status, note, emptiesCollected, cashCollected } = req.body;
+
+    if (req.user.role === 'driver' && !DRIVER_STATUSES.includes(status)) {
+      return res.status(403).json({
         success: false,
-        message: 'Valid status is required'
+        message: `Drivers can only set status to: ${DRIVER_STATUSES.join(', ')}`
       });
     }
 
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true, runValidators: true }
-    );
+    const order = await Order.findOne(scopeToUser(req.user, { _id: req.params.id }));
 
     if (!order) {
       return res.status(404).json({
@@ -198,19 +166,91 @@ exports.updateOrderStatus = async (req, res) => {
       });
     }
 
-    // Emit real-time update
-    const io = req.app.get('io');
-    if (io) {
-      io.to('admin_room').emit('order_updated', order);
+    if (!order.canTransitionTo(status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change order from ${order.status} to ${status}`,
+        currentStatus: order.status,
+        allowedStatuses: order.allowedNextStatuses()
+      });
     }
 
+    if (status === 'confirmed' && order.isAwaitingPayment()) {
+      return res.status(409).json({
+        success: false,
+        message: 'This order is paid online and the payment has not been received yet',
+        paymentStatus: order.paymentStatus
+      });
+    }
+
+    // Drivers record the empties they picked up when handing over exchange cylinders
+    if (status === 'delivered' && order.emptiesExpected.length > 0) {
+      const { empties, error } = depositService.parseEmptiesCollected(emptiesCollected, order.emptiesExpected);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+          emptiesExpected: order.emptiesExpected
+        });
+      }
+      order.emptiesCollected = empties;
+    }
+
+    // Cash orders record what was taken at the door so the driver's day can be reconciled
+    if (status === 'delivered' && order.paymentMethod === 'cash_on_delivery') {
+      const { amount, error } = cashService.parseCashCollected(cashCollected);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+          amountDue: order.totalAmount
+        });
+      }
+      order.cashCollected = amount;
+      order.cashCollectedAt = new Date();
+      order.cashCollectedBy = req.user._id;
+      if (amount >= order.totalAmount) {
+        order.paymentStatus = 'paid';
+        order.paidAt = order.cashCollectedAt;
+      }
+    }
+
+    // A driver heading out on an assigned order has accepted it
+    if (req.user.role === 'driver' && status === 'on_the_way' && order.assignmentStatus === 'assigned') {
+      order.recordAssignment('accepted', { driver: req.user, user: req.user });
+    }
+
+    order.transitionTo(status, { user: req.user, note });
+    await order.save();
+
+    if (status === 'delivered') {
+      await depositService.recordDelivery(order, req.user);
+    }
+    if (status === 'cancelled' && order.deliverySlot && order.deliverySlot.start) {
+      await scheduleService.releaseSlot(order.zone, order.deliverySlot.start);
+    }
+
+    // Delivered takes the cylinders off the shelf, cancelled puts them back
+    const io = req.app.get('io');
+    await inventoryService.applyStatusToStock(order, { user: req.user, io });
+
+    // Emit real-time update
+    await emitOrderUpdate(io, order);
+    notificationService.notifyOrderEvent(order, status);
+
     res.json({
       success: true,
       message: 'Order status updated successfully',
-      data: order
+      data: serializeOrder(order, req.orderFormat)
     });
   } catch (error) {
     console.error('❌ Update order status error:', error);
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'Order was updated by someone else. Please refresh and try again.'
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to update order status'
@@ -218,43 +258,238 @@ exports.updateOrderStatus = async (req, res) => {
   }
 };
 
-// Get order statistics
-exports.getOrderStats = async (req, res) => {
+// Assign or reassign an order to a driver (Dispatch)
+exports.assignDriver = async (req, res) => {
   try {
-    const totalOrders = await Order.countDocuments();
-    const pendingOrders = await Order.countDocuments({ status: 'pending' });
-    const confirmedOrders = await Order.countDocuments({ status: 'confirmed' });
-    const preparingOrders = await Order.countDocuments({ status: 'preparing' });
-    const onTheWayOrders = await Order.countDocuments({ status: 'on_the_way' });
-    const deliveredOrders = await Order.countDocuments({ status: 'delivered' });
-    const cancelledOrders = await Order.countDocuments({ status: 'cancelled' });
-
-    // Today's orders
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const todayOrders = await Order.countDocuments({
-      createdAt: { $gte: today }
+    const { driverId, note } = req.body;
+
+    const [order, driver] = await Promise.all([
+      Order.findById(req.params.id),
+      User.findOne({ _id: driverId, role: 'driver', isActive: true })
+    ]);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found or inactive'
+      });
+    }
+
+    if (!order.canBeAssigned()) {
+      return res.status(409).json({
+        success: false,
+        message: `Orders can only be assigned while ${Order.ASSIGNABLE_STATUSES.join(', ')}`,
+        currentStatus: order.status
+      });
+    }
+
+    if (order.assignedDriver && order.assignedDriver.equals(driver._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order is already assigned to this driver'
+      });
+    }
+
+    const previousDriver = order.assignedDriver;
+    order.recordAssignment('assigned', { driver, user: req.user, note });
+    await order.save();
+
+    console.log(`🚚 Order ${order.orderNumber} assigned to ${driver.username}${previousDriver ? ' (reassigned)' : ''}`);
+
+    const io = req.app.get('io');
+    if (io) {
+      if (previousDriver) {
+        io.to(driverRoom(previousDriver)).emit('order_unassigned', { orderId: order._id, orderNumber: order.orderNumber });
+      }
+      io.to(driverRoom(driver._id)).emit('order_assigned', serializeSocketOrder(order));
+    }
+    await emitOrderUpdate(io, order);
+
+    res.json({
+      success: true,
+      message: `Order assigned to ${driver.name || driver.username}`,
+      data: serializeOrder(order, req.orderFormat)
     });
+  } catch (error) {
+    console.error('❌ Assign driver error:', error);
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'Order was updated by someone else. Please refresh and try again.'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign driver'
+    });
+  }
+};
 
-    // Total revenue
-    const revenueResult = await Order.aggregate([
-      { $match: { status: 'delivered' } },
-      { $group: { _id: null, totalRevenue: { $sum: '$totalAmount' } } }
+// Suggest the closest available drivers for an order (Dispatch)
+exports.getNearestDrivers = async (req, res) => {
+  try {
+    const { limit = 5, maxKm } = req.query;
+    const order = await Order.findById(req.params.id).select('orderNumber location');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const coordinates = order.location && parseCoordinates(order.location.latitude, order.location.longitude);
+    if (!coordinates) {
+      return res.status(422).json({
+        success: false,
+        message: 'This order has no map location - drivers cannot be ranked by distance'
+      });
+    }
+
+    const drivers = await locationService.findNearestDrivers(coordinates, {
+      limit: Math.min(parseInt(limit, 10) || 5, 20),
+      maxDistanceKm: maxKm ? Number(maxKm) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        location: coordinates,
+        drivers
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get nearest drivers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to find nearby drivers'
+    });
+  }
+};
+
+// Customer messages sent for an order and how each one went (Staff)
+exports.getOrderNotifications = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('orderNumber');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const notifications = await notificationService.getOrderNotifications(order._id);
+
+    res.json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        notifications
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get order notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications'
+    });
+  }
+};
+
+// Clear a duplicate flag once dispatch has checked the order is genuine (Staff)
+exports.dismissDuplicate = async (req, res) => {
+  try {
+    const order = await Order.findOneAndUpdate(
+      { _id: req.params.id, duplicateStatus: 'flagged' },
+      { $set: { duplicateStatus: 'dismissed', duplicateReviewedBy: req.user._id } },
+      { new: true }
+    );
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'No flagged duplicate found for this order'
+      });
+    }
+
+    console.log(`✅ Duplicate flag on ${order.orderNumber} dismissed by ${req.user.username}`);
+    await emitOrderUpdate(req.app.get('io'), order);
+
+    res.json({
+      success: true,
+      message: 'Order marked as not a duplicate',
+      data: serializeOrder(order, req.orderFormat)
+    });
+  } catch (error) {
+    console.error('❌ Dismiss duplicate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update order'
+    });
+  }
+};
+
+// Get order statistics - one pass over the orders instead of a query per figure
+exports.getOrderStats = async (req, res) => {
+  try {
+    // Today starts at local midnight, not the server's
+    const startOfToday = zonedTimeToUtc(getLocalParts(new Date()).date, '00:00');
+
+    const [[facets], deposits] = await Promise.all([
+      Order.aggregate([
+        {
+          $facet: {
+            byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+            today: [{ $match: { createdAt: { $gte: startOfToday } } }, { $count: 'count' }],
+            delivered: [
+              { $match: { status: 'delivered' } },
+              {
+                $group: {
+                  _id: null,
+                  revenue: { $sum: '$totalAmount' },
+                  cashCollected: { $sum: { $ifNull: ['$cashCollected', 0] } },
+                  // Collected at the door but not yet handed in with a closed shift
+                  cashWithDrivers: {
+                    $sum: { $cond: [{ $ifNull: ['$shift', false] }, 0, { $ifNull: ['$cashCollected', 0] }] }
+                  }
+                }
+              }
+            ]
+          }
+        }
+      ]),
+      // Cylinders out with customers and deposit money we are holding
+      depositService.getTotals()
     ]);
-    const totalRevenue = revenueResult.length > 0 ? revenueResult[0].totalRevenue : 0;
+
+    const counts = Object.fromEntries(facets.byStatus.map(row => [row._id, row.count]));
+    const delivered = facets.delivered[0] || { revenue: 0, cashCollected: 0, cashWithDrivers: 0 };
 
     res.json({
       success: true,
       data: {
-        total: totalOrders,
-        pending: pendingOrders,
-        confirmed: confirmedOrders,
-        preparing: preparingOrders,
-        onTheWay: onTheWayOrders,
-        delivered: deliveredOrders,
-        cancelled: cancelledOrders,
-        today: todayOrders,
-        revenue: totalRevenue
+        total: facets.byStatus.reduce((sum, row) => sum + row.count, 0),
+        pending: counts.pending || 0,
+        confirmed: counts.confirmed || 0,
+        preparing: counts.preparing || 0,
+        onTheWay: counts.on_the_way || 0,
+        delivered: counts.delivered || 0,
+        cancelled: counts.cancelled || 0,
+        today: facets.today[0] ? facets.today[0].count : 0,
+        revenue: delivered.revenue,
+        outstandingCylinders: deposits.outstandingCylinders,
+        cylindersWithCustomers: deposits.cylindersWithCustomers,
+        depositsHeld: deposits.depositsHeld,
+        cashCollected: roundMoney(delivered.cashCollected),
+        cashWithDrivers: roundMoney(delivered.cashWithDrivers)
       }
     });
   } catch (error) {
@@ -266,10 +501,11 @@ exports.getOrderStats = async (req, res) => {
   }
 };
 
-// Delete order
+// Delete order (Admin) - soft delete, the order moves to the archive and can be restored
 exports.deleteOrder = async (req, res) => {
   try {
-    const order = await Order.findByIdAndDelete(req.params.id);
+    const { reason } = req.body;
+    const order = await Order.findById(req.params.id);
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -277,9 +513,41 @@ exports.deleteOrder = async (req, res) => {
       });
     }
 
+    if (!order.canBeDeleted()) {
+      return res.status(409).json({
+        success: false,
+        message: order.status === 'cancelled'
+          ? 'This order has been paid - refund the payment before deleting it'
+          : 'Only cancelled orders can be deleted - cancel the order first',
+        currentStatus: order.status,
+        paymentStatus: order.paymentStatus
+      });
+    }
+
+    // Claimed atomically so two admins deleting at once leave one record of who did it
+    const deleted = await Order.findOneAndUpdate(
+      { _id: order._id, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy: req.user._id, deletedByName: req.user.name || req.user.username, deleteReason: reason } },
+      { new: true }
+    );
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    console.log(`🗑️ Order ${deleted.orderNumber} deleted by ${req.user.username}: ${reason}`);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(ADMIN_ROOM).emit('order_deleted', String(deleted._id));
+    }
+
     res.json({
       success: true,
-      message: 'Order deleted successfully'
+      message: 'Order deleted successfully',
+      data: serializeOrder(deleted, req.orderFormat)
     });
   } catch (error) {
     console.error('❌ Delete order error:', error);
@@ -290,30 +558,103 @@ exports.deleteOrder = async (req, res) => {
   }
 };
 
-// Search orders
+// Bring a deleted order back from the archive (Admin)
+exports.restoreOrder = async (req, res) => {
+  try {
+    const order = await Order.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null }, $unset: { deletedBy: 1, deletedByName: 1, deleteReason: 1 } },
+      { new: true }
+    );
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'No deleted order found with this id'
+      });
+    }
+
+    console.log(`♻️ Order ${order.orderNumber} restored by ${req.user.username}`);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(ADMIN_ROOM).emit('order_restored', serializeSocketOrder(order));
+    }
+
+    res.json({
+      success: true,
+      message: 'Order restored successfully',
+      data: serializeOrder(order, req.orderFormat)
+    });
+  } catch (error) {
+    console.error('❌ Restore order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore order'
+    });
+  }
+};
+
+// Deleted orders (Admin) - same filters and pagination as the list
+exports.getDeletedOrders = async (req, res) => {
+  try {
+    const { filter, error } = buildOrderFilter(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await orderQueryService.findOrderPage(
+      { ...filter, deletedAt: { $ne: null } },
+      req.query,
+      { withDeleted: true }
+    );
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.orders.map(order => serializeOrder(order, req.orderFormat)),
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('❌ Get deleted orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch deleted orders'
+    });
+  }
+};
+
+// Search orders (Staff) - same filters and pagination as the list, q is checked by the route
 exports.searchOrders = async (req, res) => {
   try {
-    const { q } = req.query;
-    
-    if (!q) {
+    const { filter, error } = buildOrderFilter(req.query);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Search query is required'
+        message: error
       });
     }
 
-    const orders = await Order.find({
-      $or: [
-        { orderNumber: { $regex: q, $options: 'i' } },
-        { customerName: { $regex: q, $options: 'i' } },
-        { phoneNumber: { $regex: q, $options: 'i' } },
-        { address: { $regex: q, $options: 'i' } }
-      ]
-    }).sort({ createdAt: -1 });
+    const result = await orderQueryService.findOrderPage(scopeToUser(req.user, filter), req.query);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
 
     res.json({
       success: true,
-      data: orders
+      data: result.orders.map(order => serializeOrder(order, req.orderFormat)),
+      pagination: result.pagination
     });
   } catch (error) {
     console.error('❌ Search orders error:', error);
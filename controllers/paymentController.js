@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const paymentService = require('../services/paymentService');
+const { getAvailableProviders } = require('../services/payments');
+
+// Wallets the app can offer at checkout (Customer facing)
+exports.getProviders = (req, res) => {
+  res.json({
+    success: true,
+    data: getAvailableProviders()
+  });
+};
+
+// Payment result pushed by the wallet provider - always answer quickly so it does not retry forever
+exports.handleWebhook = async (req, res) => {
+  try {
+    const result = await paymentService.handleWebhook(req.params.provider, {
+      rawBody: req.rawBody,
+      headers: req.headers,
+      body: req.body
+    }, { io: req.app.get('io') });
+
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.ignored || 'Payment updated'
+    });
+  } catch (error) {
+    console.error('❌ Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process payment notification'
+    });
+  }
+};
+
+// Send a new payment request after a failed one (Customer facing) - phone number acts as a second factor
+exports.retryPayment = async (req, res) => {
+  try {
+    const { phone, provider, paymentPhone } = req.body;
+    const order = await Order.findOne({ orderNumber: req.params.orderNumber });
+
+    if (!order || !phone || !order.matchesPhone(phone)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.paymentMethod !== 'online' || order.paymentStatus !== 'failed' || order.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'This order is not waiting for a new payment',
+        paymentStatus: order.paymentStatus
+      });
+    }
+
+    const result = await paymentService.initiatePayment(order, { provider, phoneNumber: paymentPhone });
+    if (result.error || !result.payment) {
+      return res.status(result.payment ? 502 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Approve the payment request sent to your phone to complete your order.',
+      data: {
+        orderNumber: order.orderNumber,
+        paymentStatus: result.order.paymentStatus,
+        provider: result.payment.provider,
+        reference: result.payment.reference,
+        amount: result.payment.amount
+      }
+    });
+  } catch (error) {
+    console.error('❌ Retry payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start payment'
+    });
+  }
+};
+
+// Payment attempts for an order (Staff)
+exports.getOrderPayments = async (req, res) => {
+  try {
+    const order = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Order.findById(req.params.id).select('orderNumber paymentMethod paymentStatus paymentProvider paidAt totalAmount')
+      : null;
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const payments = await paymentService.getOrderPayments(order._id);
+
+    res.json({
+      success: true,
+      data: {
+        order,
+        payments
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get order payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments'
+    });
+  }
+};
+
+// Pay an online payment back to the customer's wallet (Admin)
+exports.refundOrderPayment = async (req, res) => {
+  try {
+    const order = mongoose.Types.ObjectId.isValid(req.params.id) ? await Order.findById(req.params.id) : null;
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const { payment, status, message } = await paymentService.refundPayment(order, req.user);
+    if (!payment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment refunded',
+      data: payment
+    });
+  } catch (error) {
+    console.error('❌ Refund payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refund payment'
+    });
+  }
+};
@@ -0,0 +1,155 @@
+const Product = require('../models/Product');
+
+// Fields staff may set through the API
+const EDITABLE_FIELDS = ['name', 'sku', 'category', 'sizeKg', 'price', 'depositAmount', 'description', 'image', 'isActive', 'sortOrder'];
+
+const pickEditable = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Get product catalog (Customer facing) - active products only
+exports.getCatalog = async (req, res) => {
+  try {
+    const { category } = req.query;
+
+    const query = { isActive: true };
+    if (category && category !== 'all') {
+      query.category = category;
+    }
+
+    const products = await Product.find(query).sort({ sortOrder: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: products.map(product => product.toCatalogItem())
+    });
+  } catch (error) {
+    console.error('❌ Get catalog error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch products'
+    });
+  }
+};
+
+// Get all products including inactive (Admin only)
+exports.getAllProducts = async (req, res) => {
+  try {
+    const products = await Product.find().sort({ sortOrder: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: products
+    });
+  } catch (error) {
+    console.error('❌ Get products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch products'
+    });
+  }
+};
+
+// Get product by ID (Admin only)
+exports.getProductById = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    res.json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    console.error('❌ Get product by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch product'
+    });
+  }
+};
+
+// Create product (Admin only)
+exports.createProduct = async (req, res) => {
+  try {
+    const product = await Product.create(pickEditable(req.body));
+
+    console.log('🛢️ Product created:', product.name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      data: product
+    });
+  } catch (error) {
+    console.error('❌ Create product error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.code === 11000 ? 'A product with this SKU already exists' : 'Failed to create product',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update product (Admin only)
+exports.updateProduct = async (req, res) => {
+  try {
+    const product = await Product.findByIdAndUpdate(
+      req.params.id,
+      pickEditable(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Product updated successfully',
+      data: product
+    });
+  } catch (error) {
+    console.error('❌ Update product error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.code === 11000 ? 'A product with this SKU already exists' : 'Failed to update product',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delete product (Admin only) - past orders keep their own copy of name and price
+exports.deleteProduct = async (req, res) => {
+  try {
+    const product = await Product.findByIdAndDelete(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Product deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Delete product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete product'
+    });
+  }
+};
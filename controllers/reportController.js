@@ -0,0 +1,78 @@
+const reportService = require('../services/reportService');
+
+// Shared handler - parse the date range, then run one breakdown
+const runReport = async (req, res, breakdown, options = {}) => {
+  const { range, error } = reportService.parseRange(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const report = await reportService.buildReport(range, breakdown, options);
+  res.json({
+    success: true,
+    data: report
+  });
+};
+
+// Revenue and volume per day, week or month
+exports.getTimeSeries = async (req, res) => {
+  try {
+    const interval = req.query.interval || req.query.groupBy || 'day';
+    if (!reportService.INTERVAL_FORMATS[interval]) {
+      return res.status(400).json({
+        success: false,
+        message: `Interval must be one of: ${Object.keys(reportService.INTERVAL_FORMATS).join(', ')}`
+      });
+    }
+
+    await runReport(req, res, 'time', { interval });
+  } catch (error) {
+    console.error('❌ Time series report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build report'
+    });
+  }
+};
+
+// Revenue and volume per product
+exports.getProductReport = async (req, res) => {
+  try {
+    await runReport(req, res, 'product');
+  } catch (error) {
+    console.error('❌ Product report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build report'
+    });
+  }
+};
+
+// Revenue and volume per delivery zone
+exports.getZoneReport = async (req, res) => {
+  try {
+    await runReport(req, res, 'zone');
+  } catch (error) {
+    console.error('❌ Zone report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build report'
+    });
+  }
+};
+
+// Revenue, volume and delivery times per driver
+exports.getDriverReport = async (req, res) => {
+  try {
+    await runReport(req, res, 'driver');
+  } catch (error) {
+    console.error('❌ Driver report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build report'
+    });
+  }
+};
@@ -0,0 +1,207 @@
+const Order = require('../models/Order');
+const Subscription = require('../models/Subscription');
+const { priceOrderItems } = require('../utils/pricing');
+
+const EDITABLE_FIELDS = ['customerName', 'phoneNumber', 'address', 'location', 'items', 'intervalDays', 'nextRunAt', 'paymentMethod', 'notes'];
+
+const pickEditable = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Catch unknown or inactive products now rather than on the first run
+const checkItems = async (items) => {
+  if (items === undefined) return [];
+  if (!Array.isArray(items) || items.length === 0) return ['Please add at least one item'];
+  const { errors } = await priceOrderItems(items);
+  return errors;
+};
+
+// List subscriptions (Staff)
+exports.getAllSubscriptions = async (req, res) => {
+  try {
+    const { paused, phone } = req.query;
+
+    const query = {};
+    if (paused === 'true' || paused === 'false') {
+      query.isPaused = paused === 'true';
+    }
+    if (phone) {
+      query.phoneNumber = phone;
+    }
+
+    const subscriptions = await Subscription.find(query).sort({ nextRunAt: 1 });
+
+    res.json({
+      success: true,
+      data: subscriptions
+    });
+  } catch (error) {
+    console.error('❌ Get subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch subscriptions'
+    });
+  }
+};
+
+// Get one subscription with the orders it produced (Staff)
+exports.getSubscriptionById = async (req, res) => {
+  try {
+    const subscription = await Subscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    const orders = await Order.find({ subscription: subscription._id })
+      .select('orderNumber status totalAmount createdAt')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: { ...subscription.toObject(), orders }
+    });
+  } catch (error) {
+    console.error('❌ Get subscription by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch subscription'
+    });
+  }
+};
+
+// Create subscription (Staff)
+exports.createSubscription = async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+
+    const itemErrors = await checkItems(data.items);
+    if (itemErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some items are not available',
+        errors: itemErrors
+      });
+    }
+
+    const subscription = await Subscription.create({ ...data, createdBy: req.user._id });
+
+    console.log(`🔁 Subscription created for ${subscription.customerName}, every ${subscription.intervalDays} days`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription created successfully',
+      data: subscription
+    });
+  } catch (error) {
+    console.error('❌ Create subscription error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update subscription (Staff)
+exports.updateSubscription = async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+
+    const itemErrors = await checkItems(data.items);
+    if (itemErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some items are not available',
+        errors: itemErrors
+      });
+    }
+
+    const subscription = await Subscription.findByIdAndUpdate(req.params.id, data, { new: true, runValidators: true });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subscription updated successfully',
+      data: subscription
+    });
+  } catch (error) {
+    console.error('❌ Update subscription error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Pause or resume (Staff) - resuming never back-fills runs missed while paused
+const setPaused = (isPaused) => async (req, res) => {
+  try {
+    const subscription = await Subscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    subscription.isPaused = isPaused;
+    if (!isPaused && subscription.nextRunAt <= new Date()) {
+      subscription.nextRunAt = subscription.nextRunAfter(new Date());
+    }
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: isPaused ? 'Subscription paused' : 'Subscription resumed',
+      data: subscription
+    });
+  } catch (error) {
+    console.error('❌ Pause/resume subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update subscription'
+    });
+  }
+};
+
+exports.pauseSubscription = setPaused(true);
+exports.resumeSubscription = setPaused(false);
+
+// Delete subscription (Staff) - orders it produced are kept
+exports.deleteSubscription = async (req, res) => {
+  try {
+    const subscription = await Subscription.findByIdAndDelete(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subscription deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Delete subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete subscription'
+    });
+  }
+};
@@ -0,0 +1,184 @@
+const User = require('../models/User');
+
+// Create staff account (Admin only)
+exports.createUser = async (req, res) => {
+  try {
+    const { username, password, name, phone, role } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide username and password'
+      });
+    }
+
+    if (String(password).length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const existing = await User.findOne({ username: String(username).toLowerCase().trim() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username is already taken'
+      });
+    }
+
+    const user = await User.create({ username, password, name, phone, role });
+
+    console.log(`👤 Staff account created: ${user.username} (${user.role})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: user.toSafeObject()
+    });
+  } catch (error) {
+    console.error('❌ Create user error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// List staff accounts (Admin only)
+exports.getAllUsers = async (req, res) => {
+  try {
+    const { role, active } = req.query;
+
+    const query = {};
+    if (role && role !== 'all') {
+      query.role = role;
+    }
+    if (active === 'true' || active === 'false') {
+      query.isActive = active === 'true';
+    }
+
+    const users = await User.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: users.map(user => user.toSafeObject())
+    });
+  } catch (error) {
+    console.error('❌ Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users'
+    });
+  }
+};
+
+// Deactivate staff account - existing tokens stop working immediately
+exports.deactivateUser = async (req, res) => {
+  try {
+    if (String(req.params.id) === String(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    console.log(`⛔ Staff account deactivated: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: user.toSafeObject()
+    });
+  } catch (error) {
+    console.error('❌ Deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate user'
+    });
+  }
+};
+
+// Reactivate staff account
+exports.activateUser = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isActive: true },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User activated successfully',
+      data: user.toSafeObject()
+    });
+  } catch (error) {
+    console.error('❌ Activate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to activate user'
+    });
+  }
+};
+
+// Reset staff password - logs the user out of every device
+exports.resetPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password || String(password).length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Use save() so the pre-save hook hashes the password
+    user.password = password;
+    await user.save();
+
+    console.log(`🔑 Password reset for: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully',
+      data: user.toSafeObject()
+    });
+  } catch (error) {
+    console.error('❌ Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+};
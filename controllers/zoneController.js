@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const DeliveryZone = require('../models/DeliveryZone');
+const zoneService = require('../services/zoneService');
+const scheduleService = require('../services/scheduleService');
+const { parseCoordinates } = require('../utils/geo');
+
+// Build the update from the request, validating the boundary if one was sent
+const buildZoneData = (body) => {
+  const data = {};
+  ['name', 'code', 'deliveryFee', 'minimumOrder', 'operatingHours', 'deliverySlots', 'depot', 'isActive'].forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+
+  if (body.area !== undefined) {
+    const area = zoneService.normalizeArea(body.area);
+    if (!area) {
+      return { error: 'Zone boundary must be a GeoJSON Polygon or a list of [longitude, latitude] points' };
+    }
+    data.area = area;
+  }
+  return { data };
+};
+
+// Get active zones (Customer facing) - for drawing the delivery map
+exports.getZones = async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find({ isActive: true }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: zones.map(zone => zone.toPublicObject())
+    });
+  } catch (error) {
+    console.error('❌ Get zones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch delivery zones'
+    });
+  }
+};
+
+// Check whether we deliver to a point (Customer facing)
+exports.checkLocation = async (req, res) => {
+  try {
+    const coordinates = parseCoordinates(req.query.latitude, req.query.longitude);
+    if (!coordinates) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid latitude and longitude are required'
+      });
+    }
+
+    const { zone, deliveryFee, error } = await zoneService.checkServiceability({ coordinates });
+
+    res.json({
+      success: true,
+      data: {
+        serviceable: !error,
+        message: error,
+        zone: zone ? { id: zone._id, name: zone.name, code: zone.code } : null,
+        deliveryFee: error ? null : deliveryFee,
+        minimumOrder: zone ? zone.minimumOrder : 0,
+        openNow: zone ? zoneService.isOpenAt(zone) : true
+      }
+    });
+  } catch (error) {
+    console.error('❌ Check location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check delivery area'
+    });
+  }
+};
+
+// List bookable delivery slots for a zone or a location (Customer facing)
+exports.getSlots = async (req, res) => {
+  try {
+    const { zone: zoneId, latitude, longitude, days } = req.query;
+
+    let zone = null;
+    if (zoneId && mongoose.Types.ObjectId.isValid(zoneId)) {
+      zone = await DeliveryZone.findOne({ _id: zoneId, isActive: true });
+    } else {
+      const coordinates = parseCoordinates(latitude, longitude);
+      if (!coordinates) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide a zone or a valid latitude and longitude'
+        });
+      }
+      zone = await zoneService.findZoneForLocation(coordinates);
+    }
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sorry, we do not deliver to your area yet'
+      });
+    }
+
+    const slots = await scheduleService.getAvailableSlots(zone, {
+      days: Math.min(parseInt(days, 10) || 7, 14)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        zone: { id: zone._id, name: zone.name, code: zone.code },
+        asapEstimate: await scheduleService.estimateAsapDelivery(zone),
+        slots
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch delivery slots'
+    });
+  }
+};
+
+// Get all zones including inactive (Staff)
+exports.getAllZones = async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find().populate('depot', 'name code').sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: zones
+    });
+  } catch (error) {
+    console.error('❌ Get all zones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch delivery zones'
+    });
+  }
+};
+
+// Create zone (Admin only)
+exports.createZone = async (req, res) => {
+  try {
+    const { data, error } = buildZoneData(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const zone = await DeliveryZone.create(data);
+
+    console.log('🗺️ Delivery zone created:', zone.name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery zone created successfully',
+      data: zone
+    });
+  } catch (error) {
+    console.error('❌ Create zone error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.code === 11000 ? 'A zone with this code already exists' : 'Failed to create delivery zone',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update zone (Admin only)
+exports.updateZone = async (req, res) => {
+  try {
+    const { data, error } = buildZoneData(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const zone = await DeliveryZone.findByIdAndUpdate(req.params.id, data, { new: true, runValidators: true });
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery zone updated successfully',
+      data: zone
+    });
+  } catch (error) {
+    console.error('❌ Update zone error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.code === 11000 ? 'A zone with this code already exists' : 'Failed to update delivery zone',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delete zone (Admin only) - orders keep their zone name
+exports.deleteZone = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery zone deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Delete zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete delivery zone'
+    });
+  }
+};
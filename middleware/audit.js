@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const auditService = require('../services/auditService');
+
+// Record a staff action in the audit log. With a model, the record named by the route param is
+// read before the handler runs and again when it answers, and the difference is stored.
+// Only successful responses are logged, and the entry is written before the response is sent.
+//   model      - name of the Mongoose model the route changes, e.g. "Order"
+//   param      - route param holding its id (default "id"); creates use the id in the response
+//   idFrom     - where a create finds the new record's id in the response data
+//   entityType - label for routes without a model, e.g. "Inventory"
+const defaultIdFrom = (data) => data._id || data.id;
+
+exports.audited = (action, { model: modelName, param = 'id', idFrom = defaultIdFrom, entityType } = {}) => async (req, res, next) => {
+  const model = modelName ? mongoose.model(modelName) : null;
+
+  // Deleted orders are still read, so deletes and restores have a before and after
+  const loadSnapshot = (id) => (model && id && mongoose.Types.ObjectId.isValid(id)
+    ? model.findById(id).setOptions({ withDeleted: true }).lean()
+    : Promise.resolve(null));
+
+  let before;
+  try {
+    before = await loadSnapshot(req.params[param]);
+  } catch (error) {
+    return next(error);
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400) return json(body);
+
+    const data = body && body.data;
+    const entityId = (before && before._id) || (data && idFrom(data));
+    loadSnapshot(entityId)
+      .then(after => auditService.record(req, {
+        action,
+        entityType: model ? model.modelName : entityType,
+        entityId,
+        before,
+        after,
+        metadata: auditService.requestDetails(req.body)
+      }))
+      .catch(error => console.error(`❌ Failed to audit ${action}:`, error))
+      .then(() => json(body));
+    return res;
+  };
+
+  next();
+};
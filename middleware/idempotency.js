@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// A key still 'processing' after this long belongs to a request that died - let a retry take it over
+const PROCESSING_LEASE_SECONDS = Number(process.env.IDEMPOTENCY_LEASE_SECONDS) || 60;
+const MAX_KEY_LENGTH = 255;
+
+// The URL params are part of the request - the same key on /orders/A/reorder and /orders/B/reorder differs
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ params: req.params || {}, body: req.body || {} }))
+  .digest('hex');
+
+// Keys are only unique per caller, so one customer's key can never replay another's response
+const callerScope = (scope, req) => {
+  const caller = (req.customer && req.customer._id) || (req.user && req.user._id);
+  return `${scope}:${caller ? String(caller) : 'guest'}`;
+};
+
+const leaseExpiry = () => new Date(Date.now() + PROCESSING_LEASE_SECONDS * 1000);
+
+// Replay the first response for a repeated Idempotency-Key instead of running the handler again.
+// Requests without the header go straight through. Server errors are not stored, so the client can retry.
+exports.idempotent = (endpoint) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const scope = callerScope(endpoint, req);
+  const requestHash = hashRequest(req);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      scope,
+      requestHash,
+      leaseExpiresAt: leaseExpiry(),
+      expiresAt: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('❌ Idempotency key error:', error);
+      return next(error);
+    }
+
+    const existing = await IdempotencyKey.findOne({ scope, key });
+    if (!existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        message: 'This Idempotency-Key was already used with a different request'
+      });
+    }
+    if (existing.status === 'processing') {
+      // Claim an abandoned key atomically - only one retry wins it. Keys stored before leases
+      // existed have none and count as abandoned.
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', leaseExpiresAt: { $not: { $gte: new Date() } } },
+        { $set: { leaseExpiresAt: leaseExpiry() } },
+        { new: true }
+      );
+    }
+    if (existing.status === 'processing' && !record) {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    if (!record) {
+      console.log(`🔁 Replaying response for Idempotency-Key ${key}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+    console.log(`♻️ Taking over abandoned Idempotency-Key ${key}`);
+  }
+
+  // Capture what the handler sends and keep it for the next attempt
+  let stored = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    stored = true;
+    const save = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne({ _id: record._id }, {
+        $set: { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+      });
+    // Store before answering so a quick retry finds the finished response
+    save
+      .catch(error => console.error('❌ Failed to store idempotent response:', error))
+      .then(() => json(body));
+    return res;
+  };
+
+  // The handler never answered (crash or dropped connection) - free the key for a retry
+  res.on('close', () => {
+    if (!stored) {
+      IdempotencyKey.deleteOne({ _id: record._id })
+        .catch(error => console.error('❌ Failed to release idempotency key:', error));
+    }
+  });
+
+  next();
+};
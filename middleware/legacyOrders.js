@@ -0,0 +1,50 @@
+// /api/orders is the original order API kept for old app builds and the admin panel.
+// Requests are mapped to the canonical field names on the way in, and controllers answer
+// in the legacy shape (see serializers/orderSerializer) for anything that came through here.
+
+const isEmpty = (value) => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Old app builds send the customer nested, the address as `deliveryAddress` or on the map pin,
+// the total as `total` and items by `id` or `sku`.
+// They are folded into the canonical field names so nothing past the adapter sees them.
+const normalizeOrderInput = (body) => {
+  const { customer, total, deliveryAddress, ...input } = isPlainObject(body) ? body : {};
+  const nested = isPlainObject(customer) ? customer : {};
+
+  if (isEmpty(input.customerName) && !isEmpty(nested.name)) input.customerName = nested.name;
+  if (isEmpty(input.phoneNumber) && !isEmpty(nested.phone)) input.phoneNumber = nested.phone;
+  let pinAddress;
+  if (isPlainObject(input.location)) {
+    const { address, ...coordinates } = input.location;
+    input.location = coordinates;
+    pinAddress = address;
+  }
+  if (isEmpty(input.address)) {
+    const address = [deliveryAddress, nested.address, pinAddress].find(value => !isEmpty(value));
+    if (address) input.address = address;
+  }
+  if (isEmpty(input.totalAmount) && !isEmpty(total)) input.totalAmount = total;
+
+  if (Array.isArray(input.items)) {
+    input.items = input.items.map(item => {
+      if (!isPlainObject(item) || !isEmpty(item.productId)) return item;
+      const { id, sku, ...rest } = item;
+      return { ...rest, productId: isEmpty(id) ? sku : id };
+    });
+  }
+
+  return input;
+};
+
+const legacyOrderAdapter = (req, res, next) => {
+  req.orderFormat = 'legacy';
+  if (req.body && ['POST', 'PUT', 'PATCH'].includes(req.method)) {
+    req.body = normalizeOrderInput(req.body);
+  }
+  next();
+};
+
+module.exports = { legacyOrderAdapter, normalizeOrderInput };
@@ -1,26 +1,148 @@
-exports.validateOrder = (req, res, next) => {
-  const { customerName, phoneNumber, address, items, totalAmount } = req.body;
+const { DEFAULT_COUNTRY_CODE } = require('../utils/phone');
 
-  if (!customerName || !phoneNumber || !address) {
-    return res.status(400).json({
-      success: false,
-      message: 'Please provide customer name, phone number, and address'
-    });
+// Declarative request validation - a route lists the rules for its params, query and body,
+// and every failing field comes back in one 422 so apps can mark them all at once.
+//
+// Rule options: type, required, enum, min, max, minLength, maxLength, minItems, maxItems,
+// pattern, items (rule for each array entry), fields (rules for object keys),
+// check(value, req) returning a reason or nothing, and message to replace the generated one.
+// `required` can be a function of the request, e.g. guests must give a phone but customers need not.
+
+// What a person would type: digits, spaces, dashes, dots, brackets and a leading +
+const PHONE_PATTERN = /^\+?[\d\s\-().]+$/;
+// E.164 length once the country code is added
+const PHONE_DIGITS = { min: 11, max: 15 };
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+const isEmpty = (value) => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Numbers arrive as strings in query strings and from some old app builds
+const toNumber = (value) => (typeof value === 'string' ? Number(value.trim()) : value);
+
+// Each type returns { value } (possibly coerced) or { reason }
+const TYPES = {
+  string: (value, rule) => (typeof value === 'string'
+    ? { value: rule.trim === false ? value : value.trim() }
+    : { reason: 'must be text' }),
+  number: (value) => {
+    const number = toNumber(value);
+    return typeof number === 'number' && Number.isFinite(number) ? { value: number } : { reason: 'must be a number' };
+  },
+  integer: (value) => {
+    const number = toNumber(value);
+    return Number.isInteger(number) ? { value: number } : { reason: 'must be a whole number' };
+  },
+  boolean: (value) => {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { reason: 'must be true or false' };
+  },
+  objectId: (value) => (OBJECT_ID_PATTERN.test(String(value)) ? { value: String(value) } : { reason: 'must be a valid id' }),
+  phone: (value) => {
+    const text = String(value).trim();
+    const digits = text.replace(/\D/g, '').replace(/^00/, '').replace(/^0+/, '');
+    const length = text.startsWith('+') || digits.startsWith(DEFAULT_COUNTRY_CODE)
+      ? digits.length
+      : DEFAULT_COUNTRY_CODE.length + digits.length;
+    return PHONE_PATTERN.test(text) && length >= PHONE_DIGITS.min && length <= PHONE_DIGITS.max
+      ? { value: text }
+      : { reason: 'must be a valid phone number' };
+  },
+  date: (value) => (Number.isNaN(new Date(value).getTime()) ? { reason: 'must be a valid date' } : { value }),
+  array: (value) => (Array.isArray(value) ? { value } : { reason: 'must be a list' }),
+  object: (value) => (isPlainObject(value) ? { value } : { reason: 'must be an object' })
+};
+
+// Range and size limits once the type is known
+const checkLimits = (rule, value) => {
+  if (rule.enum && !rule.enum.includes(value)) return `must be one of: ${rule.enum.join(', ')}`;
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+  }
+  if (typeof value === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) return `must be at least ${rule.minLength} characters`;
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+    if (rule.pattern && !rule.pattern.test(value)) return 'has an invalid format';
   }
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) return `must have at least ${rule.minItems} ${rule.minItems === 1 ? 'entry' : 'entries'}`;
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) return `must have at most ${rule.maxItems} entries`;
+  }
+  return null;
+};
 
-  if (!items || items.length === 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'Please add at least one item to the order'
-    });
+// Check one value against its rule, pushing { field, message } for each failure.
+// Returns the value to keep - trimmed and coerced where the type allows.
+const checkField = (rule, value, path, req, errors) => {
+  const fail = (reason) => {
+    errors.push({ field: path, message: rule.message || `${path} ${reason}` });
+    return value;
+  };
+
+  if (isEmpty(value)) {
+    const required = typeof rule.required === 'function' ? rule.required(req) : rule.required;
+    return required ? fail('is required') : value;
+  }
+
+  let checked = value;
+  if (rule.type) {
+    const result = TYPES[rule.type](value, rule);
+    if (result.reason) return fail(result.reason);
+    checked = result.value;
+  }
+
+  const reason = checkLimits(rule, checked);
+  if (reason) return fail(reason);
+
+  if (rule.items && Array.isArray(checked)) {
+    checked = checked.map((entry, index) => checkField(rule.items, entry, `${path}[${index}]`, req, errors));
   }
+  if (rule.fields && isPlainObject(checked)) {
+    checked = { ...checked, ...checkFields(rule.fields, checked, `${path}.`, req, errors) };
+  }
+
+  if (rule.check) {
+    const custom = rule.check(checked, req);
+    if (custom) return fail(custom);
+  }
+  return checked;
+};
 
-  if (!totalAmount || totalAmount <= 0) {
-    return res.status(400).json({
+const checkFields = (fields, input, prefix, req, errors) => {
+  const checked = {};
+  Object.entries(fields).forEach(([name, rule]) => {
+    const value = checkField(rule, input[name], `${prefix}${name}`, req, errors);
+    if (value !== undefined) checked[name] = value;
+  });
+  return checked;
+};
+
+// Build the middleware for a route
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+  ['params', 'query', 'body'].forEach(source => {
+    if (!schema[source]) return;
+    const input = req[source] || {};
+    const sourceErrors = [];
+    // Written back in place so controllers read the trimmed and coerced values
+    Object.assign(input, checkFields(schema[source], input, '', req, sourceErrors));
+    sourceErrors.forEach(error => errors.push({ in: source, ...error }));
+  });
+
+  if (errors.length > 0) {
+    return res.status(422).json({
       success: false,
-      message: 'Total amount must be greater than 0'
+      message: 'Some fields are missing or invalid',
+      errors
     });
   }
 
   next();
-};
\ No newline at end of file
+};
+
+module.exports = { validate };
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+require('dotenv').config();
+
+// Collapse orders to the canonical shape: one name per value. Run once after deploying /api/v2:
+//   npm run migrate:orders            apply
+//   npm run migrate:orders -- --dry-run   only count what would change
+// Safe to run again - documents already in the canonical shape are not matched.
+// Until it has run, the Order init hook reads the old names and the server logs how many are left.
+
+const LEGACY_FIELDS = ['customer', 'deliveryAddress', 'total', 'location.address', 'items.product'];
+
+const needsMigration = {
+  $or: LEGACY_FIELDS.map(field => ({ [field]: { $exists: true } }))
+};
+
+const isFilled = (expr) => ({ $gt: [{ $strLenCP: { $ifNull: [{ $toString: expr }, ''] } }, 0] });
+
+// The first non-empty of the given values
+const firstFilled = (...exprs) => exprs.reduceRight(
+  (fallback, expr) => ({ $cond: [isFilled(expr), expr, fallback] }),
+  '$$REMOVE'
+);
+
+const pipeline = [
+  {
+    $set: {
+      customerName: firstFilled('$customerName', '$customer.name'),
+      phoneNumber: firstFilled('$phoneNumber', '$customer.phone'),
+      address: firstFilled('$address', '$deliveryAddress', '$customer.address', '$location.address'),
+      totalAmount: { $ifNull: ['$totalAmount', '$total'] },
+      items: {
+        $map: {
+          input: { $ifNull: ['$items', []] },
+          as: 'item',
+          in: { $mergeObjects: ['$$item', { name: firstFilled('$$item.name', '$$item.product') }] }
+        }
+      }
+    }
+  },
+  // A map pin label that says more than the address (e.g. a landmark) is kept on the address
+  {
+    $set: {
+      address: {
+        $cond: [
+          { $and: [isFilled('$location.address'), { $eq: [{ $indexOfCP: ['$address', '$location.address'] }, -1] }] },
+          { $concat: ['$address', ' - ', '$location.address'] },
+          '$address'
+        ]
+      }
+    }
+  },
+  { $unset: LEGACY_FIELDS },
+  // Orders whose pin only had a label are left without a location
+  {
+    $set: {
+      location: { $cond: [{ $eq: [{ $type: '$location.latitude' }, 'missing'] }, '$$REMOVE', '$location'] }
+    }
+  }
+];
+
+const migrate = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/sagal_gas_delivery');
+
+    const pending = await Order.collection.countDocuments(needsMigration);
+    console.log(`📦 ${pending} orders still use legacy fields`);
+
+    if (!dryRun && pending > 0) {
+      const result = await Order.collection.updateMany(needsMigration, pipeline);
+      console.log(`✅ Collapsed ${result.modifiedCount} orders to the canonical shape`);
+    }
+
+    // The canonical schema requires these - anything listed here needs fixing by hand
+    const incomplete = await Order.collection.find({
+      $or: ['customerName', 'phoneNumber', 'address', 'totalAmount'].map(field => ({ [field]: { $in: [null, ''] } }))
+    }, { projection: { orderNumber: 1 } }).toArray();
+    if (incomplete.length > 0) {
+      console.warn(`⚠️ ${incomplete.length} orders are missing a name, phone, address or total:`,
+        incomplete.map(order => order.orderNumber).join(', '));
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Order migration failed:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) migrate();
+
+module.exports = { needsMigration };
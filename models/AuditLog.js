@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One staff action - who did what to which record, from where, and what changed. Never edited or expired.
+const auditLogSchema = new mongoose.Schema({
+  // What happened, e.g. "order.status", "order.delete", "auth.login"
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: String,
+  entityId: mongoose.Schema.Types.ObjectId,
+  // Human readable handle at the time - order number, username, depot code
+  entityLabel: String,
+
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  userName: String,
+  role: String,
+  ip: String,
+  userAgent: String,
+
+  // Fields that differ between the record before and after the action
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // What the request asked for, e.g. the reason for a delete - secrets are removed
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ entityId: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ entityLabel: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
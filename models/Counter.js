@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Named sequences incremented atomically with $inc, e.g. "order:SG:20261019" -> 42
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const savedAddressSchema = new mongoose.Schema({
+  label: { type: String, trim: true, default: 'Home' },
+  address: { type: String, required: [true, 'Address is required'] },
+  location: {
+    latitude: Number,
+    longitude: Number
+  },
+  isDefault: { type: Boolean, default: false }
+});
+
+// A customer is identified by their phone number - there is no password, they log in by SMS code
+const customerSchema = new mongoose.Schema({
+  // Canonical digits only, see utils/phone.normalizePhone
+  phoneNumber: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    unique: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  addresses: [savedAddressSchema],
+  // Language for SMS/WhatsApp updates - unset means the shop default
+  language: {
+    type: String,
+    enum: {
+      values: ['so', 'en'],
+      message: 'Language must be so or en'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: Date
+}, {
+  timestamps: true
+});
+
+customerSchema.methods.getDefaultAddress = function() {
+  return this.addresses.find(address => address.isDefault) || this.addresses[0] || null;
+};
+
+customerSchema.methods.toProfile = function() {
+  return {
+    id: this._id,
+    phoneNumber: this.phoneNumber,
+    name: this.name,
+    language: this.language,
+    addresses: this.addresses,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Customer', customerSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const deliveryZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Zone code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  // GeoJSON polygon - coordinates are [longitude, latitude]
+  area: {
+    type: { type: String, enum: ['Polygon'], default: 'Polygon' },
+    coordinates: { type: [[[Number]]], required: [true, 'Zone boundary is required'] }
+  },
+  deliveryFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Delivery fee cannot be negative']
+  },
+  minimumOrder: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order cannot be negative']
+  },
+  // Local opening times per weekday (0 = Sunday) - no entries means always open
+  operatingHours: [{
+    day: { type: Number, min: 0, max: 6, required: true },
+    open: { type: String, match: [TIME_PATTERN, 'Use HH:mm for opening time'], required: true },
+    close: { type: String, match: [TIME_PATTERN, 'Use HH:mm for closing time'], required: true }
+  }],
+  // Bookable delivery windows, repeated on the listed weekdays (none listed = every day)
+  deliverySlots: [{
+    days: [{ type: Number, min: 0, max: 6 }],
+    start: { type: String, match: [TIME_PATTERN, 'Use HH:mm for slot start'], required: true },
+    end: { type: String, match: [TIME_PATTERN, 'Use HH:mm for slot end'], required: true },
+    capacity: { type: Number, min: [1, 'Slot capacity must be at least 1'], required: true }
+  }],
+  // Depot that serves this zone - orders reserve stock there
+  depot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Depot'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+deliveryZoneSchema.index({ area: '2dsphere' });
+
+// Public view for the app - enough to draw the map and show the fee
+deliveryZoneSchema.methods.toPublicObject = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    code: this.code,
+    area: this.area,
+    deliveryFee: this.deliveryFee,
+    minimumOrder: this.minimumOrder,
+    operatingHours: this.operatingHours.map(hours => ({ day: hours.day, open: hours.open, close: hours.close }))
+  };
+};
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
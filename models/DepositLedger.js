@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Per-customer record of cylinders out with customers and deposit money we hold.
+// Balances are the sum of entries - entries are never edited, corrections are new entries.
+const depositLedgerSchema = new mongoose.Schema({
+  // Normalized phone number - the same key as Customer.phoneNumber
+  phoneNumber: {
+    type: String,
+    required: true,
+    index: true
+  },
+  customerName: String,
+  type: {
+    type: String,
+    enum: {
+      // deposit: new cylinder sold with a deposit
+      // shortfall: exchange where the driver got fewer empties than expected
+      // return: more empties handed back than expected
+      // refund: cylinder returned and deposit paid back
+      // adjustment: manual correction by staff
+      values: ['deposit', 'shortfall', 'return', 'refund', 'adjustment'],
+      message: 'Invalid ledger entry type'
+    },
+    required: true
+  },
+  sizeKg: Number,
+  // Signed: positive means the customer now holds more of our cylinders
+  cylinders: {
+    type: Number,
+    default: 0
+  },
+  // Signed: positive means we now hold more of the customer's money
+  amount: {
+    type: Number,
+    default: 0
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: String,
+  note: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+module.exports = mongoose.model('DepositLedger', depositLedgerSchema);
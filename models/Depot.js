@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const depotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Depot name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Depot code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  // Printed at the start of this branch's order numbers, e.g. "HGA" -> HGA-20261019-0042
+  orderPrefix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9]{1,6}$/, 'Order prefix must be 1-6 letters or digits']
+  },
+  address: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Depot', depotSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Last known position of each driver - one document per driver, overwritten on every ping
+const driverLocationSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true } // [longitude, latitude]
+  },
+  heading: Number,
+  speed: Number, // m/s as reported by the phone
+  accuracy: Number // metres
+}, {
+  timestamps: true
+});
+
+driverLocationSchema.index({ location: '2dsphere' });
+
+driverLocationSchema.virtual('latitude').get(function() {
+  return this.location.coordinates[1];
+});
+
+driverLocationSchema.virtual('longitude').get(function() {
+  return this.location.coordinates[0];
+});
+
+module.exports = mongoose.model('DriverLocation', driverLocationSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A driver's closed day - the cash they collected, what they handed in, and the orders it covers
+const driverShiftSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Shop-local calendar day, YYYY-MM-DD
+  date: {
+    type: String,
+    required: true
+  },
+  orders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }],
+  ordersCount: { type: Number, default: 0 },
+  // Sum of order totals the driver should have collected
+  expectedCash: { type: Number, default: 0 },
+  // Sum of what the driver recorded on delivery
+  collectedCash: { type: Number, default: 0 },
+  // Counted by the office when the driver hands the cash in
+  cashReceived: { type: Number, default: 0 },
+  // collected - expected: short (negative) or over (positive) at the customer's door
+  collectionDifference: { type: Number, default: 0 },
+  // received - collected: missing between the door and the office
+  handoverDifference: { type: Number, default: 0 },
+  note: String,
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  closedByName: String,
+  closedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+driverShiftSchema.index({ driver: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('DriverShift', driverShiftSchema);
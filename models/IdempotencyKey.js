@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A client-supplied Idempotency-Key and the response we gave for it - expired keys are deleted by MongoDB
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  // Endpoint and caller the key was used by, e.g. "orders:create:<customer id>"
+  scope: {
+    type: String,
+    required: true
+  },
+  // Fingerprint of the URL params and body - the same key with a different request is a client bug
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // While processing - past this the request is presumed dead and a retry may take the key over
+  leaseExpiresAt: Date,
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
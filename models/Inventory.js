@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Stock of one product at one depot - available = onHand - reserved
+const inventorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  depot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Depot',
+    required: true
+  },
+  onHand: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock on hand cannot be negative']
+  },
+  // Held for open orders, taken off onHand when the order is delivered
+  reserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative']
+  },
+  lowStockThreshold: {
+    type: Number,
+    default: 5,
+    min: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+inventorySchema.index({ product: 1, depot: 1 }, { unique: true });
+
+inventorySchema.virtual('available').get(function() {
+  return this.onHand - this.reserved;
+});
+
+inventorySchema.methods.isLow = function() {
+  return this.available <= this.lowStockThreshold;
+};
+
+module.exports = mongoose.model('Inventory', inventorySchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Every customer message we tried to send for an order, with the outcome of the last attempt
+const notificationLogSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: String,
+  // Order event the message is about: placed or the new status
+  event: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['sms', 'whatsapp', 'log'],
+    required: true
+  },
+  provider: String,
+  to: {
+    type: String,
+    required: true
+  },
+  language: {
+    type: String,
+    enum: ['so', 'en']
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  providerMessageId: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+notificationLogSchema.index({ order: 1, createdAt: 1 });
+
+module.exports = mongoose.model('NotificationLog', notificationLogSchema);
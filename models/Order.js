@@ -1,31 +1,48 @@
 const mongoose = require('mongoose');
+const { phonesMatch } = require('../utils/phone');
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'on_the_way', 'delivered', 'cancelled'];
+
+// Allowed next states for each status - delivered and cancelled are final
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['preparing', 'on_the_way', 'cancelled'],
+  preparing: ['on_the_way', 'cancelled'],
+  on_the_way: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
 
 const orderSchema = new mongoose.Schema({
-  // Customer information - make these optional since we support multiple formats
-  customerName: { 
-    type: String, 
-    required: false
-  },
-  phoneNumber: { 
-    type: String, 
-    required: false
+  // Canonical order shape: each value is stored once, under one name. Old field names
+  // (customer.*, deliveryAddress, total, items.product) only exist in the /api/orders adapter
+  // and on orders `npm run migrate:orders` has not collapsed yet - see the init hook below.
+
+  // Delivery snapshot - who the driver hands the order to, on which number, at which address.
+  // Copied when the order is placed and never changed afterwards, so profile edits do not
+  // rewrite past deliveries. Anything about the customer themselves comes from customerAccount.
+  customerName: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    immutable: true
   },
-  address: { 
-    type: String, 
-    required: false
+  phoneNumber: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    immutable: true
   },
-  
-  // Support both field names for flexibility
-  customer: {
-    name: String,
-    phone: String,
-    address: String
+  address: {
+    type: String,
+    required: [true, 'Address is required'],
+    immutable: true
   },
   
+  // Customer account the order belongs to - the source of truth for the customer's details
+  customerAccount: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+
   location: {
     latitude: Number,
-    longitude: Number,
-    address: String
+    longitude: Number
   },
   
   items: [{
@@ -34,26 +51,69 @@ const orderSchema = new mongoose.Schema({
     quantity: { type: Number, required: true, min: 1 },
     price: { type: Number, required: true },
     image: String,
-    product: String // Support both 'name' and 'product'
+    // Cylinders only: swap an empty for a full one, or buy a new cylinder with a deposit
+    sizeKg: Number,
+    purchaseType: { type: String, enum: ['exchange', 'new'] },
+    deposit: { type: Number, default: 0 } // Per unit
+  }],
+
+  // Empties the customer should hand back (exchange lines) and what the driver actually got
+  emptiesExpected: [{
+    sizeKg: { type: Number, required: true },
+    quantity: { type: Number, required: true, min: 0 }
+  }],
+  emptiesCollected: [{
+    sizeKg: { type: Number, required: true },
+    quantity: { type: Number, required: true, min: 0 }
   }],
+  depositTotal: { type: Number, default: 0 },
+
+  // Delivery zone the location fell in when the order was placed
+  zone: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryZone' },
+  zoneName: String,
+  deliveryFee: { type: Number, default: 0 },
   
-  totalAmount: { 
-    type: Number, 
-    required: false
+  totalAmount: {
+    type: Number,
+    required: [true, 'Total amount is required']
   },
-  total: Number, // Support both 'totalAmount' and 'total'
+  clientTotal: Number, // What the app claimed - kept only to investigate mismatches
   
   paymentMethod: { 
     type: String, 
     enum: ['cash_on_delivery', 'online'], 
     default: 'cash_on_delivery'
   },
+  // Online orders move unpaid -> pending -> paid/failed as the wallet provider reports back
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'pending', 'paid', 'refunded', 'failed'],
+    default: 'unpaid'
+  },
+  paymentProvider: String,
+  paidAt: Date,
+
+  // Cash on delivery - what the driver took at the door, and the shift it was handed in with
+  cashCollected: Number,
+  cashCollectedAt: Date,
+  cashCollectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  shift: { type: mongoose.Schema.Types.ObjectId, ref: 'DriverShift' },
   
   status: { 
     type: String, 
-    enum: ['pending', 'confirmed', 'preparing', 'on_the_way', 'delivered', 'cancelled'], 
+    enum: ORDER_STATUSES, 
     default: 'pending' 
   },
+
+  // Every status change with who made it - customers see status and time only
+  statusHistory: [{
+    status: { type: String, enum: ORDER_STATUSES, required: true },
+    from: { type: String, enum: ORDER_STATUSES },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedByName: String,
+    note: String
+  }],
   
   orderNumber: { 
     type: String, 
@@ -61,76 +121,199 @@ const orderSchema = new mongoose.Schema({
     required: true 
   },
   
-  deliveryAddress: String,
+  // Depot the stock was reserved at, and where that reservation stands
+  depot: { type: mongoose.Schema.Types.ObjectId, ref: 'Depot' },
+  stockStatus: {
+    type: String,
+    enum: ['none', 'reserved', 'committed', 'released'],
+    default: 'none'
+  },
+  
   notes: String,
-  assignedDriver: String,
-  estimatedDelivery: Date
+
+  // Where the order came from - recurring orders point back at their subscription
+  source: {
+    type: String,
+    enum: ['app', 'subscription', 'staff'],
+    default: 'app'
+  },
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription' },
+  
+  // Set when the same customer placed the same items minutes earlier - dispatch cancels or dismisses it
+  possibleDuplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  duplicateStatus: { type: String, enum: ['flagged', 'dismissed'] },
+  duplicateReviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  // Driver assignment - the driver accepts before the order goes out
+  assignedDriver: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  assignmentStatus: {
+    type: String,
+    enum: ['unassigned', 'assigned', 'accepted'],
+    default: 'unassigned'
+  },
+  assignmentHistory: [{
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    driverName: String,
+    action: { type: String, enum: ['assigned', 'accepted', 'declined', 'unassigned'], required: true },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    byName: String,
+    note: String
+  }],
+  estimatedDelivery: Date,
+  // Set when the customer booked a window instead of ASAP
+  deliverySlot: {
+    start: Date,
+    end: Date
+  },
+
+  // Soft delete - the order is hidden everywhere but the archive, and can be restored
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  deletedByName: String,
+  deleteReason: String
 }, {
-  timestamps: true
+  timestamps: true,
+  // Two staff updating the same order at once must not silently overwrite each other
+  optimisticConcurrency: true
 });
 
-// Add pre-validate middleware to ensure required fields exist in some format
-orderSchema.pre('validate', function(next) {
-  // Check if we have customer info in either format
-  const hasRootCustomerInfo = this.customerName && this.phoneNumber && this.address;
-  const hasNestedCustomerInfo = this.customer && this.customer.name && this.customer.phone && this.customer.address;
-  
-  if (!hasRootCustomerInfo && !hasNestedCustomerInfo) {
-    return next(new Error('Please provide customer name, phone number, and address either as root fields or nested customer object'));
+orderSchema.index({ assignedDriver: 1, status: 1 });
+orderSchema.index({ zone: 1, createdAt: -1 });
+orderSchema.index({ customerAccount: 1, createdAt: -1 });
+orderSchema.index({ assignedDriver: 1, shift: 1, cashCollectedAt: 1 });
+orderSchema.index({ createdAt: -1, _id: -1 });
+// Prefix search for the admin search box - anchored regexes on these walk the index
+orderSchema.index({ phoneNumber: 1 });
+orderSchema.index({ customerName: 1 });
+// Whole-word search for the admin search box
+orderSchema.index(
+  { customerName: 'text', address: 'text', phoneNumber: 'text', orderNumber: 'text' },
+  { name: 'order_search', weights: { orderNumber: 10, phoneNumber: 5, customerName: 3, address: 1 }, default_language: 'none' }
+);
+
+// Deleted orders are left out of every read and update unless the query asks about deletedAt
+// itself or opts in with .setOptions({ withDeleted: true }) - a webhook or shift close must not
+// quietly change an order that sits in the archive
+const excludeDeleted = function() {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+  this.where({ deletedAt: null });
+};
+orderSchema.pre(
+  ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'],
+  excludeDeleted
+);
+
+orderSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) return;
+  const pipeline = this.pipeline();
+  const first = pipeline[0];
+  // $text and $geoNear must stay first, so join an opening $match instead of going before it
+  if (first && first.$match) {
+    if (first.$match.deletedAt === undefined) pipeline[0] = { $match: { ...first.$match, deletedAt: null } };
+  } else {
+    pipeline.splice(first && first.$geoNear ? 1 : 0, 0, { $match: { deletedAt: null } });
   }
-  
-  // Check if we have total amount in either format
-  const hasTotalAmount = this.totalAmount !== undefined && this.totalAmount !== null;
-  const hasTotal = this.total !== undefined && this.total !== null;
-  
-  if (!hasTotalAmount && !hasTotal) {
-    return next(new Error('Please provide total amount either as totalAmount or total'));
+});
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Orders stored before the fields above became required may still keep their values under
+// customer.*, total, deliveryAddress, location.address or items.product. Fill the canonical fields
+// from those as the document loads, so old orders still validate, save, match phones and get
+// notified until the data is migrated. Drop this once the startup check reports no legacy orders.
+orderSchema.pre('init', function(data) {
+  const customer = data.customer || {};
+  if (isBlank(data.customerName)) data.customerName = customer.name;
+  if (isBlank(data.phoneNumber)) data.phoneNumber = customer.phone;
+  if (isBlank(data.address)) {
+    data.address = data.deliveryAddress || customer.address || (data.location && data.location.address);
   }
-  
-  next();
+  if (isBlank(data.totalAmount)) data.totalAmount = data.total;
+  (data.items || []).forEach(item => {
+    if (isBlank(item.name)) item.name = item.product;
+  });
 });
 
-// Add pre-save middleware to normalize data
+// Start the timeline with the initial status
 orderSchema.pre('save', function(next) {
-  // If customer object is provided, copy to root fields
-  if (this.customer && this.customer.name) {
-    this.customerName = this.customerName || this.customer.name;
-  }
-  if (this.customer && this.customer.phone) {
-    this.phoneNumber = this.phoneNumber || this.customer.phone;
-  }
-  if (this.customer && this.customer.address) {
-    this.address = this.address || this.customer.address;
-  }
-  
-  // If total is provided but totalAmount is not, copy it
-  if (this.total !== undefined && this.total !== null) {
-    this.totalAmount = this.totalAmount || this.total;
-  }
-  
-  // Copy deliveryAddress to address if needed
-  if (this.deliveryAddress && !this.address) {
-    this.address = this.deliveryAddress;
-  }
-  
-  // Copy location address to address if needed
-  if (this.location && this.location.address && !this.address) {
-    this.address = this.location.address;
-  }
-  
-  // Ensure items have proper structure
-  if (this.items && this.items.length > 0) {
-    this.items = this.items.map(item => ({
-      productId: item.productId || item.id?.toString(),
-      name: item.name || item.product,
-      quantity: item.quantity,
-      price: item.price,
-      image: item.image,
-      product: item.product || item.name
-    }));
+  if (this.isNew && (!this.statusHistory || this.statusHistory.length === 0)) {
+    this.statusHistory = [{ status: this.status, changedAt: new Date() }];
   }
-  
   next();
 });
 
-module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
+// Only cancelled, unpaid orders can be deleted - anything else still holds stock, cash or money
+orderSchema.methods.canBeDeleted = function() {
+  return this.status === 'cancelled' && this.paymentStatus !== 'paid';
+};
+
+// Statuses this order may move to next
+orderSchema.methods.allowedNextStatuses = function() {
+  return STATUS_TRANSITIONS[this.status] || [];
+};
+
+orderSchema.methods.canTransitionTo = function(status) {
+  return this.allowedNextStatuses().includes(status);
+};
+
+// Move to a new status and record it in the history - caller checks canTransitionTo first
+orderSchema.methods.transitionTo = function(status, { user, note } = {}) {
+  this.statusHistory.push({
+    status,
+    from: this.status,
+    changedAt: new Date(),
+    changedBy: user ? user._id : undefined,
+    changedByName: user ? (user.name || user.username) : undefined,
+    note
+  });
+  this.status = status;
+};
+
+// Statuses an order can be handed to a driver in
+const ASSIGNABLE_STATUSES = ['confirmed', 'preparing', 'on_the_way'];
+
+orderSchema.methods.canBeAssigned = function() {
+  return ASSIGNABLE_STATUSES.includes(this.status);
+};
+
+// Record an assignment event and update the current assignment
+orderSchema.methods.recordAssignment = function(action, { driver, user, note } = {}) {
+  this.assignmentHistory.push({
+    driver: driver ? driver._id : this.assignedDriver,
+    driverName: driver ? (driver.name || driver.username) : undefined,
+    action,
+    at: new Date(),
+    by: user ? user._id : undefined,
+    byName: user ? (user.name || user.username) : undefined,
+    note
+  });
+
+  if (action === 'assigned') {
+    this.assignedDriver = driver._id;
+    this.assignmentStatus = 'assigned';
+  } else if (action === 'accepted') {
+    this.assignmentStatus = 'accepted';
+  } else {
+    this.assignedDriver = undefined;
+    this.assignmentStatus = 'unassigned';
+  }
+};
+
+// Check a customer-supplied phone number against the one the order was placed with
+orderSchema.methods.matchesPhone = function(phone) {
+  return phonesMatch(phone, this.phoneNumber);
+};
+
+// Online orders cannot be confirmed until the money has arrived
+orderSchema.methods.isAwaitingPayment = function() {
+  return this.paymentMethod === 'online' && this.paymentStatus !== 'paid';
+};
+
+const Order = mongoose.model('Order', orderSchema);
+
+Order.ORDER_STATUSES = ORDER_STATUSES;
+Order.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+Order.ASSIGNABLE_STATUSES = ASSIGNABLE_STATUSES;
+
+module.exports = Order;
\ No newline at end of file
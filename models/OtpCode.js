@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One-time login code - only the hash is stored, and MongoDB deletes it once expired
+const otpCodeSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: true,
+    index: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One mobile money transaction for an order - the order keeps the summary in paymentStatus
+const paymentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  orderNumber: String,
+  provider: {
+    type: String,
+    required: true
+  },
+  // Our reference sent to the provider - webhooks are matched on it
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  providerTransactionId: String,
+  // Wallet the customer pays from
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed', 'refunded'],
+    default: 'pending'
+  },
+  failureReason: String,
+  paidAt: Date,
+  failedAt: Date,
+  refundedAt: Date,
+  refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Payment', paymentSchema);
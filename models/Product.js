@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const productSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true
+  },
+  // Short code the mobile app and staff can reference, e.g. "CYL-6KG"
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true
+  },
+  category: {
+    type: String,
+    enum: {
+      values: ['cylinder', 'refill', 'accessory'],
+      message: 'Category must be cylinder, refill or accessory'
+    },
+    required: [true, 'Product category is required']
+  },
+  // Cylinder size in kg - only meaningful for cylinders and refills
+  sizeKg: {
+    type: Number,
+    min: 0
+  },
+  price: {
+    type: Number,
+    required: [true, 'Product price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  // Charged per cylinder when a customer buys new instead of swapping an empty
+  depositAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Deposit cannot be negative']
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative']
+  },
+  description: String,
+  image: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+productSchema.index({ isActive: 1, category: 1, sortOrder: 1 });
+
+// Catalog view for customers - no internal fields
+productSchema.methods.toCatalogItem = function() {
+  return {
+    id: this._id,
+    sku: this.sku,
+    name: this.name,
+    category: this.category,
+    sizeKg: this.sizeKg,
+    price: this.price,
+    depositAmount: this.depositAmount,
+    description: this.description,
+    image: this.image,
+    inStock: this.stock > 0
+  };
+};
+
+module.exports = mongoose.model('Product', productSchema);
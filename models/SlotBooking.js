@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// How many orders are booked into one delivery window of one zone.
+// Booking is a conditional $inc so two customers cannot take the last place.
+const slotBookingSchema = new mongoose.Schema({
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryZone',
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  capacity: {
+    type: Number,
+    required: true
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+slotBookingSchema.index({ zone: 1, start: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlotBooking', slotBookingSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Append-only log of every stock change and why it happened
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  depot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Depot',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['adjustment', 'reserve', 'release', 'commit'],
+    required: true
+  },
+  // Signed change: positive adds stock, negative removes it
+  quantity: {
+    type: Number,
+    required: true
+  },
+  onHandAfter: Number,
+  reservedAfter: Number,
+  reason: String,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ product: 1, depot: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// A customer who wants the same order every few weeks
+const subscriptionSchema = new mongoose.Schema({
+  customerName: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true
+  },
+  phoneNumber: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true
+  },
+  address: {
+    type: String,
+    required: [true, 'Address is required']
+  },
+  location: {
+    latitude: Number,
+    longitude: Number,
+    address: String
+  },
+  // Only what to send - prices are taken from the catalog each time an order is generated
+  items: {
+    type: [{
+      productId: { type: String, required: true },
+      quantity: { type: Number, required: true, min: 1 },
+      purchaseType: { type: String, enum: ['exchange', 'new'] }
+    }],
+    validate: [items => items.length > 0, 'Please add at least one item']
+  },
+  intervalDays: {
+    type: Number,
+    required: [true, 'Interval is required'],
+    min: [1, 'Interval must be at least 1 day'],
+    max: [90, 'Interval cannot be more than 90 days']
+  },
+  nextRunAt: {
+    type: Date,
+    required: [true, 'Next run date is required']
+  },
+  isPaused: {
+    type: Boolean,
+    default: false
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash_on_delivery', 'online'],
+    default: 'cash_on_delivery'
+  },
+  notes: String,
+
+  // What happened last time the scheduler ran it
+  lastRunAt: Date,
+  lastOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  lastError: String,
+  runCount: { type: Number, default: 0 },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ isPaused: 1, nextRunAt: 1 });
+
+// First run strictly after `now`, keeping to the original rhythm even after downtime
+subscriptionSchema.methods.nextRunAfter = function(now) {
+  const intervalMs = this.intervalDays * 24 * 60 * 60 * 1000;
+  let next = this.nextRunAt.getTime() + intervalMs;
+  while (next <= now.getTime()) next += intervalMs;
+  return new Date(next);
+};
+
+// Input for orderService.placeOrder
+subscriptionSchema.methods.toOrderInput = function() {
+  return {
+    customerName: this.customerName,
+    phoneNumber: this.phoneNumber,
+    address: this.address,
+    location: this.location && this.location.latitude !== undefined ? this.location : undefined,
+    items: this.items.map(item => ({
+      productId: item.productId,
+      quantity: item.quantity,
+      purchaseType: item.purchaseType
+    })),
+    paymentMethod: this.paymentMethod,
+    notes: this.notes ? `Subscription: ${this.notes}` : 'Subscription order'
+  };
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -5,22 +5,38 @@ const userSchema = new mongoose.Schema({
   username: {
     type: String,
     required: [true, 'Username is required'],
-    unique: true
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
   },
   password: {
     type: String,
     required: [true, 'Password is required'],
-    minlength: 6
+    minlength: 6,
+    select: false
   },
   role: {
     type: String,
-    enum: ['admin', 'driver'],
-    default: 'admin'
+    enum: {
+      values: ['admin', 'dispatcher', 'driver'],
+      message: 'Role must be admin, dispatcher or driver'
+    },
+    default: 'driver'
   },
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  passwordChangedAt: Date,
+  lastLoginAt: Date
 }, {
   timestamps: true
 });
@@ -29,6 +45,11 @@ const userSchema = new mongoose.Schema({
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 12);
+
+  // Tokens issued before a password reset must stop working
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
   next();
 });
 
@@ -37,4 +58,27 @@ userSchema.methods.correctPassword = async function(candidatePassword, userPassw
   return await bcrypt.compare(candidatePassword, userPassword);
 };
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+// Check if the password was changed after the token was issued
+userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
+  if (this.passwordChangedAt) {
+    const changedTimestamp = Math.floor(this.passwordChangedAt.getTime() / 1000);
+    return JWTTimestamp < changedTimestamp;
+  }
+  return false;
+};
+
+// Public representation - never expose the password hash
+userSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    username: this.username,
+    name: this.name,
+    phone: this.phone,
+    role: this.role,
+    isActive: this.isActive,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,12 @@
+const express = require('express');
+const { getAuditLogs } = require('../controllers/auditController');
+const { protect, restrictTo } = require('../controllers/authController');
+
+const router = express.Router();
+
+// ADMIN ONLY - Who changed what, newest first
+router.use(protect, restrictTo('admin'));
+
+router.get('/', getAuditLogs);
+
+module.exports = router;
@@ -1,10 +1,14 @@
 const express = require('express');
-const { login } = require('../controllers/authController');
+const { login, protect, getMe } = require('../controllers/authController');
+const { validateLogin } = require('../validators/authValidators');
 
 const router = express.Router();
 
 // POST login - for actual login
-router.post('/login', login);
+router.post('/login', validateLogin, login);
+
+// GET current user - requires a valid token
+router.get('/me', protect, getMe);
 
 // GET test endpoint - to verify routes are working
 router.get('/test', (req, res) => {
@@ -14,6 +18,7 @@ router.get('/test', (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       login: 'POST /api/auth/login',
+      me: 'GET /api/auth/me',
       test: 'GET /api/auth/test'
     }
   });
@@ -0,0 +1,33 @@
+const express = require('express');
+const { idempotent } = require('../middleware/idempotency');
+const { requestOtp, verifyOtp, protectCustomer } = require('../controllers/customerAuthController');
+const {
+  getProfile,
+  updateProfile,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  getMyOrders,
+  getMyOrder,
+  reorder
+} = require('../controllers/customerController');
+
+const router = express.Router();
+
+// PUBLIC ROUTES - Phone login with a one-time SMS code
+router.post('/auth/request-otp', requestOtp);
+router.post('/auth/verify-otp', verifyOtp);
+
+// CUSTOMER ROUTES - Only ever see the logged in customer's own data
+router.use(protectCustomer);
+
+router.get('/me', getProfile);
+router.put('/me', updateProfile);
+router.post('/me/addresses', addAddress);
+router.put('/me/addresses/:addressId', updateAddress);
+router.delete('/me/addresses/:addressId', deleteAddress);
+router.get('/me/orders', getMyOrders);
+router.get('/me/orders/:id', getMyOrder);
+router.post('/me/orders/:id/reorder', idempotent('customers:reorder'), reorder);
+
+module.exports = router;
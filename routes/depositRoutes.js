@@ -0,0 +1,14 @@
+const express = require('express');
+const { getCustomerDeposits, createLedgerEntry } = require('../controllers/depositController');
+const { protect, restrictTo } = require('../controllers/authController');
+const { audited } = require('../middleware/audit');
+
+const router = express.Router();
+
+// STAFF ROUTES - Office staff manage cylinder deposits
+router.use(protect, restrictTo('admin', 'dispatcher'));
+
+router.get('/:phone', getCustomerDeposits);
+router.post('/:phone/entries', audited('deposit.entry', { model: 'DepositLedger' }), createLedgerEntry);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const {
+  getMyOrders,
+  acceptOrder,
+  declineOrder,
+  getDriverWorkload,
+  updateMyLocation,
+  getDriverLocations,
+  getMyReconciliation,
+  getDriverReconciliation,
+  closeDriverShift,
+  getShifts
+} = require('../controllers/driverController');
+const { protect, restrictTo } = require('../controllers/authController');
+const { audited } = require('../middleware/audit');
+const { legacyOrderAdapter } = require('../middleware/legacyOrders');
+
+const router = express.Router();
+
+router.use(protect);
+
+// DISPATCH ROUTES - Who is carrying what
+router.get('/workload', restrictTo('admin', 'dispatcher'), getDriverWorkload);
+router.get('/locations', restrictTo('admin', 'dispatcher'), getDriverLocations);
+
+// CASH ROUTES - End-of-day reconciliation; only admins close a shift
+router.get('/shifts', restrictTo('admin', 'dispatcher'), getShifts);
+router.get('/:driverId/reconciliation', restrictTo('admin', 'dispatcher'), getDriverReconciliation);
+router.post('/:driverId/shifts/close', restrictTo('admin'), audited('shift.close', { model: 'DriverShift', idFrom: data => data.shift && data.shift._id }), closeDriverShift);
+
+// DRIVER ROUTES - A driver's own jobs, in the order shape the driver app was built against
+router.use('/orders', legacyOrderAdapter);
+router.get('/orders', restrictTo('driver'), getMyOrders);
+router.post('/orders/:id/accept', restrictTo('driver'), audited('order.accept', { model: 'Order' }), acceptOrder);
+router.post('/orders/:id/decline', restrictTo('driver'), audited('order.decline', { model: 'Order' }), declineOrder);
+router.post('/location', restrictTo('driver'), updateMyLocation);
+router.get('/reconciliation', restrictTo('driver'), getMyReconciliation);
+
+module.exports = router;
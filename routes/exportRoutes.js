@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  exportOrdersCsv,
+  exportDailySummaryPdf,
+  exportOrderSlipPdf
+} = require('../controllers/exportController');
+const { protect, restrictTo } = require('../controllers/authController');
+
+const router = express.Router();
+
+router.use(protect);
+
+// STAFF ROUTES - Files for accounting
+router.get('/orders.csv', restrictTo('admin', 'dispatcher'), exportOrdersCsv);
+router.get('/daily-summary.pdf', restrictTo('admin', 'dispatcher'), exportDailySummaryPdf);
+
+// Drivers print slips for their own orders
+router.get('/orders/:id/slip.pdf', restrictTo('admin', 'dispatcher', 'driver'), exportOrderSlipPdf);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getInventory,
+  adjustStock,
+  getStockMovements,
+  getDepots,
+  createDepot,
+  updateDepot
+} = require('../controllers/inventoryController');
+const { protect, restrictTo } = require('../controllers/authController');
+const { audited } = require('../middleware/audit');
+
+const router = express.Router();
+
+router.use(protect);
+
+// STAFF ROUTES - Office staff can see stock, only admins change it
+router.get('/', restrictTo('admin', 'dispatcher'), getInventory);
+router.get('/movements', restrictTo('admin', 'dispatcher'), getStockMovements);
+router.get('/depots', restrictTo('admin', 'dispatcher'), getDepots);
+
+// ADMIN ONLY
+router.post('/adjust', restrictTo('admin'), audited('inventory.adjust', { entityType: 'Inventory' }), adjustStock);
+router.post('/depots', restrictTo('admin'), audited('depot.create', { model: 'Depot' }), createDepot);
+router.put('/depots/:id', restrictTo('admin'), audited('depot.update', { model: 'Depot' }), updateDepot);
+
+module.exports = router;
@@ -6,21 +6,53 @@ const {
   updateOrderStatus,
   getOrderStats,
   deleteOrder,
-  searchOrders
+  searchOrders,
+  trackOrder,
+  assignDriver,
+  getNearestDrivers,
+  getOrderNotifications,
+  dismissDuplicate,
+  restoreOrder,
+  getDeletedOrders
 } = require('../controllers/orderController');
-const { protect } = require('../controllers/authController');
+const { protect, restrictTo } = require('../controllers/authController');
+const { identifyCustomer } = require('../controllers/customerAuthController');
+const { idempotent } = require('../middleware/idempotency');
+const { audited } = require('../middleware/audit');
+const {
+  validateCreateOrder,
+  validateTrackOrder,
+  validateListOrders,
+  validateSearchOrders,
+  validateOrderId,
+  validateUpdateStatus,
+  validateAssignDriver,
+  validateDeleteOrder,
+  validateNearestDrivers
+} = require('../validators/orderValidators');
 
 const router = express.Router();
 
-// PUBLIC ROUTES - Customers can only create orders
-router.post('/', createOrder);
+// PUBLIC ROUTES - Customers can create orders and track them by number + phone
+// Apps send an Idempotency-Key so a retried request cannot place the order twice
+router.post('/', identifyCustomer, validateCreateOrder, idempotent('orders:create'), createOrder);
+router.get('/track/:orderNumber', validateTrackOrder, trackOrder);
+
+// PROTECTED ROUTES - Staff only; drivers are scoped to their assigned orders
+// Every route checks its input first and answers 422 with the failing fields; changes are audited
+router.get('/', protect, restrictTo('admin', 'dispatcher', 'driver'), validateListOrders, getAllOrders);
+router.get('/stats', protect, restrictTo('admin', 'dispatcher'), getOrderStats);
+router.get('/deleted', protect, restrictTo('admin'), validateListOrders, getDeletedOrders);
+router.get('/search', protect, restrictTo('admin', 'dispatcher', 'driver'), validateSearchOrders, searchOrders);
+router.get('/:id', protect, restrictTo('admin', 'dispatcher', 'driver'), validateOrderId, getOrderById);
+router.get('/:id/nearest-drivers', protect, restrictTo('admin', 'dispatcher'), validateNearestDrivers, getNearestDrivers);
+router.get('/:id/notifications', protect, restrictTo('admin', 'dispatcher'), validateOrderId, getOrderNotifications);
+router.put('/:id/status', protect, restrictTo('admin', 'dispatcher', 'driver'), validateUpdateStatus, audited('order.status', { model: 'Order' }), updateOrderStatus);
+router.put('/:id/assign', protect, restrictTo('admin', 'dispatcher'), validateAssignDriver, audited('order.assign', { model: 'Order' }), assignDriver);
+router.patch('/:id/duplicate/dismiss', protect, restrictTo('admin', 'dispatcher'), validateOrderId, audited('order.duplicate_dismiss', { model: 'Order' }), dismissDuplicate);
 
-// PROTECTED ROUTES - Only office/admin can access these
-router.get('/', protect, getAllOrders);
-router.get('/stats', protect, getOrderStats);
-router.get('/search', protect, searchOrders);
-router.get('/:id', protect, getOrderById);
-router.put('/:id/status', protect, updateOrderStatus);
-router.delete('/:id', protect, deleteOrder);
+// ADMIN ONLY
+router.delete('/:id', protect, restrictTo('admin'), validateDeleteOrder, audited('order.delete', { model: 'Order' }), deleteOrder);
+router.patch('/:id/restore', protect, restrictTo('admin'), validateOrderId, audited('order.restore', { model: 'Order' }), restoreOrder);
 
 module.exports = router;
\ No newline at end of file
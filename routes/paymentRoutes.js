@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  getProviders,
+  handleWebhook,
+  retryPayment,
+  getOrderPayments,
+  refundOrderPayment
+} = require('../controllers/paymentController');
+const { protect, restrictTo } = require('../controllers/authController');
+const { audited } = require('../middleware/audit');
+
+const router = express.Router();
+
+// PUBLIC ROUTES - Checkout options, retries, and signed callbacks from wallet providers
+router.get('/providers', getProviders);
+router.post('/webhook/:provider', handleWebhook);
+router.post('/orders/:orderNumber/retry', retryPayment);
+
+// STAFF ROUTES - Payment history and refunds
+router.get('/orders/:id', protect, restrictTo('admin', 'dispatcher'), getOrderPayments);
+router.post('/orders/:id/refund', protect, restrictTo('admin'), audited('payment.refund', { model: 'Order' }), refundOrderPayment);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getCatalog,
+  getAllProducts,
+  getProductById,
+  createProduct,
+  updateProduct,
+  deleteProduct
+} = require('../controllers/productController');
+const { protect, restrictTo } = require('../controllers/authController');
+const { audited } = require('../middleware/audit');
+
+const router = express.Router();
+
+// PUBLIC ROUTES - Customers browse the active catalog
+router.get('/', getCatalog);
+
+// STAFF ROUTES - Dispatchers can read the full catalog, only admins change it
+router.get('/all', protect, restrictTo('admin', 'dispatcher'), getAllProducts);
+router.get('/:id', protect, restrictTo('admin', 'dispatcher'), getProductById);
+router.post('/', protect, restrictTo('admin'), audited('product.create', { model: 'Product' }), createProduct);
+router.put('/:id', protect, restrictTo('admin'), audited('product.update', { model: 'Product' }), updateProduct);
+router.delete('/:id', protect, restrictTo('admin'), audited('product.delete', { model: 'Product' }), deleteProduct);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  getTimeSeries,
+  getProductReport,
+  getZoneReport,
+  getDriverReport
+} = require('../controllers/reportController');
+const { protect, restrictTo } = require('../controllers/authController');
+
+const router = express.Router();
+
+// STAFF ROUTES - Management reports, all take ?from=YYYY-MM-DD&to=YYYY-MM-DD&timezone=
+router.use(protect, restrictTo('admin', 'dispatcher'));
+
+router.get('/', getTimeSeries);
+router.get('/timeseries', getTimeSeries);
+router.get('/products', getProductReport);
+router.get('/zones', getZoneReport);
+router.get('/drivers', getDriverReport);
+
+module.exports = router;
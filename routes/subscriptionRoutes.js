@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getAllSubscriptions,
+  getSubscriptionById,
+  createSubscription,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  deleteSubscription
+} = require('../controllers/subscriptionController');
+const { protect, restrictTo } = require('../controllers/authController');
+const { audited } = require('../middleware/audit');
+
+const router = express.Router();
+
+// STAFF ROUTES - Office staff set up refills for regular customers
+router.use(protect, restrictTo('admin', 'dispatcher'));
+
+router.get('/', getAllSubscriptions);
+router.post('/', audited('subscription.create', { model: 'Subscription' }), createSubscription);
+router.get('/:id', getSubscriptionById);
+router.put('/:id', audited('subscription.update', { model: 'Subscription' }), updateSubscription);
+router.patch('/:id/pause', audited('subscription.pause', { model: 'Subscription' }), pauseSubscription);
+router.patch('/:id/resume', audited('subscription.resume', { model: 'Subscription' }), resumeSubscription);
+router.delete('/:id', audited('subscription.delete', { model: 'Subscription' }), deleteSubscription);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  createUser,
+  getAllUsers,
+  deactivateUser,
+  activateUser,
+  resetPassword
+} = require('../controllers/userController');
+const { protect, restrictTo } = require('../controllers/authController');
+const { audited } = require('../middleware/audit');
+
+const router = express.Router();
+
+// ADMIN ONLY - Staff account management
+router.use(protect, restrictTo('admin'));
+
+router.get('/', getAllUsers);
+router.post('/', audited('user.create', { model: 'User' }), createUser);
+router.patch('/:id/deactivate', audited('user.deactivate', { model: 'User' }), deactivateUser);
+router.patch('/:id/activate', audited('user.activate', { model: 'User' }), activateUser);
+router.patch('/:id/password', audited('user.password_reset', { model: 'User' }), resetPassword);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const orderRoutes = require('./orderRoutes');
+
+// API version 2 - canonical resource shapes. Only orders have one so far; everything
+// else is served unchanged under /api
+const router = express.Router();
+
+router.use('/orders', orderRoutes);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getZones,
+  checkLocation,
+  getSlots,
+  getAllZones,
+  createZone,
+  updateZone,
+  deleteZone
+} = require('../controllers/zoneController');
+const { protect, restrictTo } = require('../controllers/authController');
+const { audited } = require('../middleware/audit');
+
+const router = express.Router();
+
+// PUBLIC ROUTES - Customers see where we deliver and what it costs
+router.get('/', getZones);
+router.get('/check', checkLocation);
+router.get('/slots', getSlots);
+
+// STAFF ROUTES - Dispatchers can read every zone, only admins change them
+router.get('/all', protect, restrictTo('admin', 'dispatcher'), getAllZones);
+router.post('/', protect, restrictTo('admin'), audited('zone.create', { model: 'DeliveryZone' }), createZone);
+router.put('/:id', protect, restrictTo('admin'), audited('zone.update', { model: 'DeliveryZone' }), updateZone);
+router.delete('/:id', protect, restrictTo('admin'), audited('zone.delete', { model: 'DeliveryZone' }), deleteZone);
+
+module.exports = router;
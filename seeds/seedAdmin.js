@@ -4,7 +4,7 @@ require('dotenv').config();
 
 const seedAdmin = async () => {
   try {
-    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/gas_delivery');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/sagal_gas_delivery');
     
     // Check if admin already exists
     const adminExists = await User.findOne({ username: 'admin' });
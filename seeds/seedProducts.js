@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Depot = require('../models/Depot');
+const Product = require('../models/Product');
+require('dotenv').config();
+
+// Orders reserve stock at a depot, so there must be at least one
+const mainDepot = { code: 'MAIN', name: 'Main Depot' };
+
+// Starter catalog - prices are placeholders, adjust from the admin API
+const products = [
+  { sku: 'CYL-6KG', name: '6kg Gas Cylinder', category: 'cylinder', sizeKg: 6, price: 35, sortOrder: 1 },
+  { sku: 'CYL-12KG', name: '12kg Gas Cylinder', category: 'cylinder', sizeKg: 12, price: 60, sortOrder: 2 },
+  { sku: 'REF-6KG', name: '6kg Refill', category: 'refill', sizeKg: 6, price: 12, sortOrder: 3 },
+  { sku: 'REF-12KG', name: '12kg Refill', category: 'refill', sizeKg: 12, price: 22, sortOrder: 4 },
+  { sku: 'ACC-REG', name: 'Gas Regulator', category: 'accessory', price: 8, sortOrder: 5 },
+  { sku: 'ACC-HOSE', name: 'Gas Hose (1.5m)', category: 'accessory', price: 5, sortOrder: 6 }
+];
+
+const seedProducts = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/sagal_gas_delivery');
+
+    if (!(await Depot.findOne({ code: mainDepot.code }))) {
+      await Depot.create(mainDepot);
+      console.log(`Depot created: ${mainDepot.code} - add stock with POST /api/inventory/adjust`);
+    }
+
+    for (const product of products) {
+      const exists = await Product.findOne({ sku: product.sku });
+      if (exists) {
+        console.log(`Product already exists: ${product.sku}`);
+        continue;
+      }
+      await Product.create(product);
+      console.log(`Product created: ${product.sku} - ${product.name}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error seeding products:', error);
+    process.exit(1);
+  }
+};
+
+seedProducts();
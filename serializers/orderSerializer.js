@@ -0,0 +1,157 @@
+// The order shape the API answers with. /api/v2 gets the canonical shape - every value once,
+// under one name. /api/orders keeps the legacy shape old app builds and the admin panel read,
+// which repeats values under the names those clients grew up with.
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+const orNull = (value) => (value === undefined ? null : value);
+
+const serializeCanonical = (order) => ({
+  id: String(order._id),
+  orderNumber: order.orderNumber,
+  status: order.status,
+  source: order.source,
+  subscription: idOf(order.subscription),
+
+  customerAccount: idOf(order.customerAccount),
+  customerName: order.customerName,
+  phoneNumber: order.phoneNumber,
+  address: order.address,
+  location: order.location && order.location.latitude !== undefined && order.location.latitude !== null
+    ? { latitude: order.location.latitude, longitude: order.location.longitude }
+    : null,
+  zone: idOf(order.zone),
+  zoneName: orNull(order.zoneName),
+  deliverySlot: order.deliverySlot && order.deliverySlot.start
+    ? { start: order.deliverySlot.start, end: order.deliverySlot.end }
+    : null,
+  estimatedDelivery: orNull(order.estimatedDelivery),
+
+  items: order.items.map(item => ({
+    productId: orNull(item.productId),
+    name: item.name,
+    image: orNull(item.image),
+    sizeKg: orNull(item.sizeKg),
+    purchaseType: orNull(item.purchaseType),
+    quantity: item.quantity,
+    price: item.price,
+    deposit: item.deposit || 0
+  })),
+  emptiesExpected: order.emptiesExpected.map(({ sizeKg, quantity }) => ({ sizeKg, quantity })),
+  emptiesCollected: order.emptiesCollected.map(({ sizeKg, quantity }) => ({ sizeKg, quantity })),
+  depositTotal: order.depositTotal || 0,
+  deliveryFee: order.deliveryFee || 0,
+  totalAmount: order.totalAmount,
+
+  paymentMethod: order.paymentMethod,
+  paymentStatus: order.paymentStatus,
+  paymentProvider: orNull(order.paymentProvider),
+  paidAt: orNull(order.paidAt),
+  cashCollected: orNull(order.cashCollected),
+  cashCollectedAt: orNull(order.cashCollectedAt),
+  shift: idOf(order.shift),
+
+  depot: idOf(order.depot),
+  stockStatus: order.stockStatus,
+
+  assignedDriver: idOf(order.assignedDriver),
+  assignmentStatus: order.assignmentStatus,
+  assignmentHistory: order.assignmentHistory.map(entry => ({
+    action: entry.action,
+    driver: idOf(entry.driver),
+    driverName: orNull(entry.driverName),
+    by: idOf(entry.by),
+    byName: orNull(entry.byName),
+    note: orNull(entry.note),
+    at: entry.at
+  })),
+
+  possibleDuplicateOf: idOf(order.possibleDuplicateOf),
+  duplicateStatus: orNull(order.duplicateStatus),
+
+  notes: orNull(order.notes),
+  statusHistory: order.statusHistory.map(entry => ({
+    status: entry.status,
+    from: orNull(entry.from),
+    changedAt: entry.changedAt,
+    changedBy: idOf(entry.changedBy),
+    changedByName: orNull(entry.changedByName),
+    note: orNull(entry.note)
+  })),
+  createdAt: order.createdAt,
+  updatedAt: order.updatedAt
+});
+
+// The stored document plus the duplicate names the original API returned
+const serializeLegacy = (order) => {
+  const legacy = typeof order.toObject === 'function' ? order.toObject() : { ...order };
+  return {
+    ...legacy,
+    customer: {
+      name: legacy.customerName,
+      phone: legacy.phoneNumber,
+      address: legacy.address
+    },
+    deliveryAddress: legacy.address,
+    total: legacy.totalAmount,
+    items: (legacy.items || []).map(item => ({ ...item, product: item.name }))
+  };
+};
+
+const serializeOrder = (order, format = 'canonical') => (format === 'legacy'
+  ? serializeLegacy(order)
+  : serializeCanonical(order));
+
+// Socket listeners - the admin panel and the driver app - read orders in the /api/orders shape
+const serializeSocketOrder = (order) => serializeLegacy(order);
+
+const trackingUrl = (order, format) => (format === 'legacy'
+  ? `/api/orders/track/${order.orderNumber}`
+  : `/api/v2/orders/track/${order.orderNumber}`);
+
+const paymentRequest = (payment, paymentError) => ({
+  provider: payment.provider,
+  reference: payment.reference,
+  amount: payment.amount,
+  instructions: paymentError || 'Approve the payment request sent to your phone to complete your order.'
+});
+
+// What a customer gets back after placing an order
+const serializeReceipt = (order, { priceWarning, duplicateOf, payment, paymentError } = {}, format = 'canonical') => {
+  if (format !== 'legacy') {
+    return {
+      order: serializeCanonical(order),
+      priceWarning: priceWarning || null,
+      // Lets the app ask "did you mean to order again?" - the office sees the same flag
+      possibleDuplicateOf: duplicateOf || null,
+      payment: payment ? paymentRequest(payment, paymentError) : null,
+      trackingUrl: trackingUrl(order, format)
+    };
+  }
+
+  return {
+    orderNumber: order.orderNumber,
+    totalAmount: order.totalAmount,
+    items: order.items.map(item => ({
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price,
+      purchaseType: item.purchaseType,
+      deposit: item.deposit
+    })),
+    depositTotal: order.depositTotal,
+    deliveryFee: order.deliveryFee,
+    zone: order.zoneName,
+    emptiesToReturn: order.emptiesExpected,
+    priceWarning: priceWarning || undefined,
+    possibleDuplicateOf: duplicateOf || undefined,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    payment: payment ? paymentRequest(payment, paymentError) : undefined,
+    estimatedDelivery: order.estimatedDelivery,
+    deliveryWindow: order.deliverySlot && order.deliverySlot.start ? order.deliverySlot : null,
+    trackingUrl: trackingUrl(order, format),
+    contactInfo: 'If you have questions, call: +1234567890'
+  };
+};
+
+module.exports = { serializeOrder, serializeSocketOrder, serializeReceipt };
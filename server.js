@@ -10,6 +10,26 @@ require('dotenv').config();
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const orderRoutes = require('./routes/orderRoutes');
+const userRoutes = require('./routes/userRoutes');
+const productRoutes = require('./routes/productRoutes');
+const inventoryRoutes = require('./routes/inventoryRoutes');
+const depositRoutes = require('./routes/depositRoutes');
+const driverRoutes = require('./routes/driverRoutes');
+const zoneRoutes = require('./routes/zoneRoutes');
+const subscriptionRoutes = require('./routes/subscriptionRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const exportRoutes = require('./routes/exportRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const v2Routes = require('./routes/v2Routes');
+const { legacyOrderAdapter } = require('./middleware/legacyOrders');
+const { initSocket } = require('./socket');
+const { createSubscriptionScheduler } = require('./services/subscriptionScheduler');
+const { assertSmsConfigured } = require('./services/sms');
+const Order = require('./models/Order');
+const inventoryService = require('./services/inventoryService');
+const { needsMigration } = require('./migrations/collapseOrderFields');
 
 const app = express();
 const server = http.createServer(app);
@@ -18,6 +38,12 @@ const server = http.createServer(app);
 const isProduction = process.env.NODE_ENV === 'production';
 const PORT = process.env.PORT || 10000;
 
+// Behind a proxy (Render) req.ip would be the proxy - TRUST_PROXY=1 makes the audit log
+// and rate limiter see the client's address instead
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // ✅ Allowed frontend + backend URLs
 const ALLOWED_ORIGINS = [
   "http://localhost:3000",
@@ -40,14 +66,21 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 };
 
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions)); // Handle preflight requests
 
 // ✅ Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body so payment webhooks can check the provider's signature
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // ✅ Rate limiter
@@ -67,6 +100,25 @@ app.use((req, res, next) => {
 // ✅ Serve static admin files
 app.use('/admin', express.static(path.join(__dirname, 'admin')));
 
+// Old orders are read through the Order init hook until the migration has collapsed them
+const reportLegacyOrders = async () => {
+  try {
+    const pending = await Order.collection.countDocuments(needsMigration);
+    if (pending > 0) console.warn(`⚠️ ${pending} orders still use legacy fields - run npm run migrate:orders`);
+  } catch (error) {
+    console.error('❌ Legacy order check failed:', error.message);
+  }
+};
+
+// A fresh deploy has no depot, and orders cannot be taken without one
+const provisionDepot = async () => {
+  try {
+    await inventoryService.ensureDefaultDepot();
+  } catch (error) {
+    console.error('❌ Default depot check failed:', error.message);
+  }
+};
+
 // ✅ Connect MongoDB
 const connectDB = async () => {
   try {
@@ -79,6 +131,8 @@ const connectDB = async () => {
       socketTimeoutMS: 45000,
     });
     console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
+    await reportLegacyOrders();
+    await provisionDepot();
   } catch (error) {
     console.error('❌ Database connection error:', error.message);
     if (isProduction) setTimeout(connectDB, 5000);
@@ -88,7 +142,21 @@ const connectDB = async () => {
 
 // ✅ Routes
 app.use('/api/auth', authRoutes);
-app.use('/api/orders', orderRoutes);
+// Same handlers as /api/v2/orders, with the original field names mapped in and out
+app.use('/api/orders', legacyOrderAdapter, orderRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/deposits', depositRoutes);
+app.use('/api/driver', driverRoutes);
+app.use('/api/zones', zoneRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/v2', v2Routes);
 
 // ✅ Health endpoint
 app.get('/api/health', (req, res) => {
@@ -133,7 +201,7 @@ app.get('/api/debug', (req, res) => {
     message: 'Server is running correctly',
     frontend: 'https://sagal-app-frontend-xhq7.vercel.app',
     backend: 'https://sagal-app.onrender.com',
-    endpoints: ['/api/health', '/api/status', '/api/auth', '/api/orders'],
+    endpoints: ['/api/health', '/api/status', '/api/auth', '/api/orders', '/api/users', '/api/products', '/api/inventory', '/api/deposits', '/api/driver', '/api/zones', '/api/subscriptions', '/api/customers', '/api/payments', '/api/reports', '/api/exports', '/api/audit', '/api/v2/orders'],
     allowed_origins: ALLOWED_ORIGINS,
     timestamp: new Date().toISOString()
   });
@@ -149,7 +217,20 @@ app.get('/', (req, res) => {
       status: '/api/status',
       debug: '/api/debug',
       auth: '/api/auth',
-      orders: '/api/orders'
+      orders: '/api/orders',
+      users: '/api/users',
+      products: '/api/products',
+      inventory: '/api/inventory',
+      deposits: '/api/deposits',
+      driver: '/api/driver',
+      zones: '/api/zones',
+      subscriptions: '/api/subscriptions',
+      customers: '/api/customers',
+      payments: '/api/payments',
+      reports: '/api/reports',
+      exports: '/api/exports',
+      audit: '/api/audit',
+      ordersV2: '/api/v2/orders'
     },
     frontend: 'https://sagal-app-frontend-xhq7.vercel.app'
   });
@@ -175,18 +256,18 @@ const io = socketIo(server, {
   transports: ['websocket', 'polling'],
 });
 
-io.on('connection', (socket) => {
-  console.log('✅ Socket connected:', socket.id);
-  socket.on('disconnect', () => console.log('❌ Socket disconnected:', socket.id));
-});
+initSocket(io);
 app.set('io', io);
 
+// ✅ Recurring subscription orders
+const subscriptionScheduler = createSubscriptionScheduler({ io });
+
 // ✅ 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
     success: false,
     message: `Route ${req.originalUrl} not found`,
-    available: ['/api/health', '/api/status', '/api/debug', '/api/orders', '/api/auth']
+    available: ['/api/health', '/api/status', '/api/debug', '/api/orders', '/api/auth', '/api/users', '/api/products', '/api/inventory', '/api/deposits', '/api/driver', '/api/zones', '/api/subscriptions', '/api/customers', '/api/payments', '/api/reports', '/api/exports', '/api/audit', '/api/v2/orders']
   });
 });
 
@@ -201,7 +282,9 @@ app.use((err, req, res, next) => {
 // ✅ Start server
 const startServer = async () => {
   try {
+    assertSmsConfigured();
     await connectDB();
+    if (process.env.SUBSCRIPTIONS_ENABLED !== 'false') subscriptionScheduler.start();
     server.listen(PORT, '0.0.0.0', () => {
       console.log(`✅ Server running on https://sagal-app.onrender.com`);
       console.log(`🌐 Frontend connected: https://sagal-app-frontend-xhq7.vercel.app`);
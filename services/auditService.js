@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { escapeRegex } = require('../utils/orderFilters');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Change on every save, too large to diff usefully, or secret
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'password', 'statusHistory', 'assignmentHistory'];
+
+// Never copied from a request into the log
+const SECRET_FIELDS = ['password', 'newPassword', 'currentPassword', 'token', 'code'];
+
+const comparable = (value) => JSON.stringify(value === undefined ? null : value);
+const valueOf = (snapshot, field) => (snapshot && snapshot[field] !== undefined ? snapshot[field] : null);
+
+// Field-by-field difference of two plain snapshots - either may be null for a create or a hard delete
+const diffSnapshots = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => comparable(valueOf(before, field)) !== comparable(valueOf(after, field)))
+    .map(field => ({ field, before: valueOf(before, field), after: valueOf(after, field) }));
+};
+
+const labelOf = (snapshot) => snapshot &&
+  (snapshot.orderNumber || snapshot.username || snapshot.code || snapshot.sku || snapshot.name);
+
+// The request body without passwords and codes, or nothing when it is empty
+const requestDetails = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return undefined;
+  const details = { ...body };
+  SECRET_FIELDS.forEach(field => delete details[field]);
+  return Object.keys(details).length > 0 ? details : undefined;
+};
+
+// Write one entry. Never throws - the action it describes has already happened, so a failed
+// write is logged loudly instead of turning a successful request into an error.
+const record = async (req, { action, entityType, entityId, entityLabel, before = null, after = null, metadata, user = req.user }) => {
+  try {
+    const snapshot = after || before;
+    return await AuditLog.create({
+      action,
+      entityType,
+      entityId: entityId || (snapshot && snapshot._id),
+      entityLabel: entityLabel || labelOf(snapshot),
+      user: user ? user._id : undefined,
+      userName: user ? user.name || user.username : undefined,
+      role: user ? user.role : undefined,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      changes: diffSnapshots(before, after),
+      metadata
+    });
+  } catch (error) {
+    console.error(`❌ Failed to write audit log for ${action}:`, error);
+    return null;
+  }
+};
+
+// Query filters from the audit log endpoint. Returns { filter } or { error }.
+const buildAuditFilter = ({ action, entityType, entityId, orderNumber, label, user, from, to } = {}) => {
+  const filter = {};
+
+  // "order.status,order.delete" or a whole area with "order.*"
+  if (action) {
+    const actions = String(action).split(',').map(value => value.trim()).filter(Boolean);
+    filter.$or = actions.map(value => (value.endsWith('.*')
+      ? { action: { $regex: `^${escapeRegex(value.slice(0, -2))}\\.` } }
+      : { action: value }));
+  }
+  if (entityType) filter.entityType = String(entityType);
+  if (entityId) {
+    if (!mongoose.Types.ObjectId.isValid(entityId)) return { error: 'entityId is not a valid id' };
+    filter.entityId = entityId;
+  }
+  if (orderNumber || label) filter.entityLabel = String(orderNumber || label).trim();
+  if (user) {
+    if (!mongoose.Types.ObjectId.isValid(user)) return { error: 'user is not a valid id' };
+    filter.user = user;
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+    if (Object.values(filter.createdAt).some(date => Number.isNaN(date.getTime()))) {
+      return { error: 'from and to must be valid dates' };
+    }
+  }
+
+  return { filter };
+};
+
+// Newest first, one page at a time
+const findAuditLogs = async (params = {}) => {
+  const { filter, error } = buildAuditFilter(params);
+  if (error) return { error };
+
+  const limit = Math.min(parseInt(params.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const page = Math.max(parseInt(params.page, 10) || 1, 1);
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  return {
+    logs,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      limit
+    }
+  };
+};
+
+module.exports = {
+  record,
+  diffSnapshots,
+  requestDetails,
+  findAuditLogs
+};
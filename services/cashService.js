@@ -0,0 +1,130 @@
+const Order = require('../models/Order');
+const DriverShift = require('../models/DriverShift');
+const { roundMoney } = require('../utils/pricing');
+const { getLocalParts, zonedTimeToUtc, addDays, isCalendarDate } = require('../utils/time');
+
+// Cash the driver says they took at the door - returns { amount } or { error }
+const parseCashCollected = (input) => {
+  if (input === undefined || input === null || input === '') {
+    return { error: 'Please record how much cash was collected' };
+  }
+  const amount = Number(input);
+  if (!Number.isFinite(amount) || amount < 0) {
+    return { error: 'Cash collected must be a positive amount' };
+  }
+  return { amount: roundMoney(amount) };
+};
+
+// Local day to reconcile - defaults to today. Returns { date } or { error }
+const resolveDate = (date) => {
+  if (!date) return { date: getLocalParts(new Date()).date };
+  if (!isCalendarDate(date)) {
+    return { error: 'Date must be a valid date in YYYY-MM-DD format' };
+  }
+  return { date };
+};
+
+const summarizeOrders = (orders) => {
+  const lines = orders.map(order => {
+    const expected = roundMoney(order.totalAmount || 0);
+    const collected = roundMoney(order.cashCollected || 0);
+    return {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      customerName: order.customerName,
+      collectedAt: order.cashCollectedAt,
+      expected,
+      collected,
+      difference: roundMoney(collected - expected)
+    };
+  });
+
+  const expectedCash = roundMoney(lines.reduce((sum, line) => sum + line.expected, 0));
+  const collectedCash = roundMoney(lines.reduce((sum, line) => sum + line.collected, 0));
+  return {
+    orders: lines,
+    discrepancies: lines.filter(line => line.difference !== 0),
+    totals: {
+      orders: lines.length,
+      expectedCash,
+      collectedCash,
+      difference: roundMoney(collectedCash - expectedCash)
+    }
+  };
+};
+
+// Cash orders a driver has not handed in yet, up to the end of the given day.
+// Earlier days that were never closed roll into the next close.
+const findUnsettledOrders = (driverId, date) => Order.find({
+  assignedDriver: driverId,
+  paymentMethod: 'cash_on_delivery',
+  status: 'delivered',
+  shift: null,
+  cashCollectedAt: { $lt: zonedTimeToUtc(addDays(date, 1), '00:00') }
+}).sort({ cashCollectedAt: 1 });
+
+// Expected vs collected cash for one driver and day - the closed shift when there is one
+const getReconciliation = async (driverId, date) => {
+  const shift = await DriverShift.findOne({ driver: driverId, date });
+  const orders = shift
+    ? await Order.find({ _id: { $in: shift.orders } }).sort({ cashCollectedAt: 1 })
+    : await findUnsettledOrders(driverId, date);
+
+  return {
+    date,
+    status: shift ? 'closed' : 'open',
+    shift,
+    ...summarizeOrders(orders)
+  };
+};
+
+// Close the driver's day once the office has counted the cash (Admin).
+// Returns { shift, reconciliation } or { status, message }.
+const closeShift = async (driver, date, { user, cashReceived, note } = {}) => {
+  if (await DriverShift.exists({ driver: driver._id, date })) {
+    return { status: 409, message: `Shift for ${date} is already closed` };
+  }
+
+  const orders = await findUnsettledOrders(driver._id, date);
+  const summary = summarizeOrders(orders);
+
+  let received = summary.totals.collectedCash;
+  if (cashReceived !== undefined && cashReceived !== null && cashReceived !== '') {
+    const parsed = parseCashCollected(cashReceived);
+    if (parsed.error) {
+      return { status: 400, message: 'Cash received must be a positive amount' };
+    }
+    received = parsed.amount;
+  }
+
+  let shift;
+  try {
+    shift = await DriverShift.create({
+      driver: driver._id,
+      date,
+      orders: orders.map(order => order._id),
+      ordersCount: summary.totals.orders,
+      expectedCash: summary.totals.expectedCash,
+      collectedCash: summary.totals.collectedCash,
+      cashReceived: received,
+      collectionDifference: summary.totals.difference,
+      handoverDifference: roundMoney(received - summary.totals.collectedCash),
+      note,
+      closedBy: user && user._id,
+      closedByName: user && (user.name || user.username)
+    });
+  } catch (error) {
+    // Two admins closing the same shift at once
+    if (error.code === 11000) {
+      return { status: 409, message: `Shift for ${date} is already closed` };
+    }
+    throw error;
+  }
+
+  await Order.updateMany({ _id: { $in: shift.orders }, shift: null }, { $set: { shift: shift._id } });
+
+  console.log(`🧾 Shift ${date} closed for ${driver.username}: collected ${shift.collectedCash}, received ${shift.cashReceived}`);
+  return { shift, reconciliation: { date, status: 'closed', shift, ...summary } };
+};
+
+module.exports = { parseCashCollected, resolveDate, getReconciliation, closeShift };
@@ -0,0 +1,152 @@
+const DepositLedger = require('../models/DepositLedger');
+const { normalizePhone } = require('../utils/phone');
+const { roundMoney } = require('../utils/pricing');
+
+// Entry types that track cylinders owed without a deposit covering them
+const UNSECURED_TYPES = ['shortfall', 'return'];
+
+// Accept [{ sizeKg, quantity }] or a plain count when only one size is expected
+const parseEmptiesCollected = (input, expected) => {
+  if (input === undefined || input === null || input === '') {
+    return { error: 'Please record how many empty cylinders were collected' };
+  }
+
+  if (typeof input === 'number' || typeof input === 'string') {
+    const quantity = Number(input);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return { error: 'Empties collected must be a whole number' };
+    }
+    if (expected.length !== 1) {
+      return { error: 'This order has several cylinder sizes - record empties per size' };
+    }
+    return { empties: [{ sizeKg: expected[0].sizeKg, quantity }] };
+  }
+
+  if (!Array.isArray(input)) {
+    return { error: 'Empties collected must be a number or a list of { sizeKg, quantity }' };
+  }
+
+  const empties = [];
+  for (const entry of input) {
+    const sizeKg = Number(entry && entry.sizeKg);
+    const quantity = Number(entry && entry.quantity);
+    if (!(sizeKg > 0) || !Number.isInteger(quantity) || quantity < 0) {
+      return { error: 'Each empties entry needs a sizeKg and a whole-number quantity' };
+    }
+    empties.push({ sizeKg, quantity });
+  }
+  return { empties };
+};
+
+// Write ledger entries for a delivered order - deposits taken and empties short or extra
+const recordDelivery = async (order, user) => {
+  const base = {
+    phoneNumber: normalizePhone(order.phoneNumber),
+    customerName: order.customerName,
+    order: order._id,
+    orderNumber: order.orderNumber,
+    user: user && user._id
+  };
+  const entries = [];
+
+  order.items
+    .filter(item => item.purchaseType === 'new' && item.deposit > 0)
+    .forEach(item => {
+      entries.push({
+        ...base,
+        type: 'deposit',
+        sizeKg: item.sizeKg,
+        cylinders: item.quantity,
+        amount: roundMoney(item.deposit * item.quantity)
+      });
+    });
+
+  const sizes = new Set([
+    ...order.emptiesExpected.map(entry => entry.sizeKg),
+    ...order.emptiesCollected.map(entry => entry.sizeKg)
+  ]);
+  const countFor = (list, sizeKg) => list
+    .filter(entry => entry.sizeKg === sizeKg)
+    .reduce((sum, entry) => sum + entry.quantity, 0);
+
+  sizes.forEach(sizeKg => {
+    const owed = countFor(order.emptiesExpected, sizeKg) - countFor(order.emptiesCollected, sizeKg);
+    if (owed === 0) return;
+    entries.push({
+      ...base,
+      type: owed > 0 ? 'shortfall' : 'return',
+      sizeKg,
+      cylinders: owed
+    });
+  });
+
+  if (entries.length > 0) {
+    await DepositLedger.insertMany(entries);
+  }
+  return entries;
+};
+
+// Balance per cylinder size for one customer
+const getCustomerBalance = async (phone) => {
+  const phoneNumber = normalizePhone(phone);
+
+  const [bySize, entries] = await Promise.all([
+    DepositLedger.aggregate([
+      { $match: { phoneNumber } },
+      {
+        $group: {
+          _id: '$sizeKg',
+          cylinders: { $sum: '$cylinders' },
+          unsecuredCylinders: {
+            $sum: { $cond: [{ $in: ['$type', UNSECURED_TYPES] }, '$cylinders', 0] }
+          },
+          depositsHeld: { $sum: '$amount' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    DepositLedger.find({ phoneNumber }).sort({ createdAt: -1 }).limit(200)
+  ]);
+
+  return {
+    phoneNumber,
+    sizes: bySize.map(row => ({
+      sizeKg: row._id,
+      cylinders: row.cylinders,
+      unsecuredCylinders: row.unsecuredCylinders,
+      depositsHeld: roundMoney(row.depositsHeld)
+    })),
+    cylinders: bySize.reduce((sum, row) => sum + row.cylinders, 0),
+    depositsHeld: roundMoney(bySize.reduce((sum, row) => sum + row.depositsHeld, 0)),
+    entries
+  };
+};
+
+// Company-wide totals for the stats endpoint
+const getTotals = async () => {
+  const [totals] = await DepositLedger.aggregate([
+    {
+      $group: {
+        _id: null,
+        cylindersWithCustomers: { $sum: '$cylinders' },
+        outstandingCylinders: {
+          $sum: { $cond: [{ $in: ['$type', UNSECURED_TYPES] }, '$cylinders', 0] }
+        },
+        depositsHeld: { $sum: '$amount' }
+      }
+    }
+  ]);
+
+  return {
+    cylindersWithCustomers: totals ? totals.cylindersWithCustomers : 0,
+    outstandingCylinders: totals ? totals.outstandingCylinders : 0,
+    depositsHeld: totals ? roundMoney(totals.depositsHeld) : 0
+  };
+};
+
+module.exports = {
+  parseEmptiesCollected,
+  recordDelivery,
+  getCustomerBalance,
+  getTotals
+};
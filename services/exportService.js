@@ -0,0 +1,180 @@
+const { once } = require('events');
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const reportService = require('./reportService');
+const { toCsvRow } = require('../utils/csv');
+const { getLocalParts } = require('../utils/time');
+
+// Column header and how to read it from an order (with assignedDriver populated)
+const CSV_COLUMNS = [
+  ['Order Number', order => order.orderNumber],
+  ['Placed At', order => formatLocal(order.createdAt)],
+  ['Status', order => order.status],
+  ['Customer', order => order.customerName],
+  ['Phone', order => order.phoneNumber],
+  ['Address', order => order.address],
+  ['Zone', order => order.zoneName],
+  ['Driver', order => driverName(order.assignedDriver)],
+  ['Items', order => order.items.map(item => `${item.quantity} x ${item.name}`).join('; ')],
+  ['Deposits', order => order.depositTotal],
+  ['Delivery Fee', order => order.deliveryFee],
+  ['Total', order => order.totalAmount],
+  ['Payment Method', order => order.paymentMethod],
+  ['Payment Status', order => order.paymentStatus],
+  ['Cash Collected', order => order.cashCollected],
+  ['Delivered At', order => formatLocal(deliveredAt(order))]
+];
+
+// "2026-10-19 14:05" in shop-local time
+const formatLocal = (date) => {
+  if (!date) return '';
+  const parts = getLocalParts(new Date(date));
+  return `${parts.date} ${parts.time}`;
+};
+
+const formatMoney = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+const driverName = (driver) => (driver ? driver.name || driver.username || '' : '');
+
+const deliveredAt = (order) => {
+  const entry = (order.statusHistory || []).find(item => item.status === 'delivered');
+  return entry ? entry.changedAt : null;
+};
+
+// Write matching orders to the response one row at a time, oldest first, without loading them all
+const streamOrdersCsv = async (filter, res) => {
+  res.write(toCsvRow(CSV_COLUMNS.map(([header]) => header)));
+
+  const cursor = Order.find(filter)
+    .sort({ createdAt: 1 })
+    .populate('assignedDriver', 'name username')
+    .cursor();
+
+  let count = 0;
+  for await (const order of cursor) {
+    const row = toCsvRow(CSV_COLUMNS.map(([, read]) => read(order)));
+    // Wait for the client to catch up instead of buffering the whole export
+    if (!res.write(row)) await once(res, 'drain');
+    count += 1;
+  }
+  res.end();
+  return count;
+};
+
+// Shared page furniture
+const writeHeader = (doc, title, subtitle) => {
+  doc.fontSize(18).font('Helvetica-Bold').text('Sagal Gas', { continued: false });
+  doc.fontSize(12).font('Helvetica').text(title);
+  if (subtitle) doc.fontSize(9).fillColor('#555555').text(subtitle).fillColor('#000000');
+  doc.moveDown();
+};
+
+// Simple fixed-width table - columns are [header, width, align]
+const writeTable = (doc, columns, rows) => {
+  const startX = doc.page.margins.left;
+  const drawRow = (values, bold) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+    const y = doc.y;
+    let x = startX;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    columns.forEach(([, width, align], index) => {
+      doc.text(String(values[index] === undefined || values[index] === null ? '' : values[index]), x, y, {
+        width: width - 4,
+        align: align || 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += width;
+    });
+    doc.x = startX;
+    doc.y = y + 14;
+  };
+
+  drawRow(columns.map(([header]) => header), true);
+  rows.forEach(values => drawRow(values, false));
+  doc.moveDown();
+};
+
+// One-page summary of a day's trading - headline figures, products and drivers
+const buildDailySummary = async (date) => {
+  const { range, error } = reportService.parseRange({ from: date, to: date });
+  if (error) return { error };
+
+  const [products, drivers] = await Promise.all([
+    reportService.buildReport(range, 'product'),
+    reportService.buildReport(range, 'driver')
+  ]);
+
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  writeHeader(doc, `Daily summary - ${date}`, `Generated ${formatLocal(new Date())} (${range.timezone})`);
+
+  const { summary } = products;
+  doc.font('Helvetica-Bold').fontSize(11).text('Totals');
+  writeTable(doc, [['Orders', 70], ['Delivered', 70], ['Cancelled', 70], ['Revenue', 90, 'right'], ['Avg order', 90, 'right'], ['Avg delivery', 90, 'right']], [[
+    summary.orders,
+    summary.delivered,
+    summary.cancelled,
+    formatMoney(summary.revenue),
+    formatMoney(summary.averageOrderValue),
+    `${summary.averageDeliveryMinutes} min`
+  ]]);
+
+  doc.font('Helvetica-Bold').fontSize(11).text('Products');
+  writeTable(doc, [['Product', 220], ['Sold', 60, 'right'], ['Orders', 60, 'right'], ['Cancelled', 70, 'right'], ['Revenue', 90, 'right']],
+    products.rows.map(row => [row.name, row.quantity, row.orders, row.cancelled, formatMoney(row.revenue)]));
+
+  doc.font('Helvetica-Bold').fontSize(11).text('Drivers');
+  writeTable(doc, [['Driver', 220], ['Delivered', 70, 'right'], ['Avg delivery', 90, 'right'], ['Revenue', 90, 'right']],
+    drivers.rows.map(row => [row.name, row.delivered, `${row.averageDeliveryMinutes} min`, formatMoney(row.revenue)]));
+
+  doc.end();
+  return { doc };
+};
+
+// Delivery slip and invoice for one order - the driver hands it over with the cylinders
+const buildOrderSlip = (order) => {
+  const doc = new PDFDocument({ size: 'A5', margin: 30 });
+  writeHeader(doc, `Delivery slip - ${order.orderNumber}`, `Placed ${formatLocal(order.createdAt)}`);
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Deliver to');
+  doc.font('Helvetica').fontSize(10)
+    .text(order.customerName || '')
+    .text(order.phoneNumber || '')
+    .text(order.address || '');
+  if (order.deliverySlot && order.deliverySlot.start) {
+    doc.text(`Window: ${formatLocal(order.deliverySlot.start)} - ${getLocalParts(new Date(order.deliverySlot.end)).time}`);
+  }
+  if (order.notes) doc.text(`Notes: ${order.notes}`);
+  doc.moveDown();
+
+  writeTable(doc, [['Item', 170], ['Qty', 35, 'right'], ['Price', 60, 'right'], ['Amount', 70, 'right']],
+    order.items.map(item => [
+      item.purchaseType ? `${item.name} (${item.purchaseType})` : item.name,
+      item.quantity,
+      formatMoney(item.price),
+      formatMoney(item.price * item.quantity)
+    ]));
+
+  const totals = [];
+  if (order.depositTotal) totals.push(['Cylinder deposits', order.depositTotal]);
+  if (order.deliveryFee) totals.push(['Delivery fee', order.deliveryFee]);
+  totals.push(['Total', order.totalAmount]);
+  totals.forEach(([label, amount]) => {
+    doc.font(label === 'Total' ? 'Helvetica-Bold' : 'Helvetica').fontSize(10)
+      .text(`${label}: ${formatMoney(amount)}`, { align: 'right' });
+  });
+
+  doc.moveDown();
+  doc.font('Helvetica').fontSize(9)
+    .text(`Payment: ${order.paymentMethod === 'online' ? `online (${order.paymentStatus})` : 'cash on delivery'}`);
+  const empties = (order.emptiesExpected || []).map(entry => `${entry.quantity} x ${entry.sizeKg}kg`).join(', ');
+  if (empties) doc.text(`Empty cylinders to collect: ${empties}`);
+
+  doc.moveDown(2);
+  doc.text('Received by: ______________________    Signature: ______________________');
+
+  doc.end();
+  return doc;
+};
+
+module.exports = { streamOrdersCsv, buildDailySummary, buildOrderSlip, CSV_COLUMNS };
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const Depot = require('../models/Depot');
+const Inventory = require('../models/Inventory');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const { ADMIN_ROOM } = require('../socket/rooms');
+
+// Orders need a depot to be taken at all - create the default one on a fresh deploy.
+// Returns the depot that was created, or null when an active depot already exists.
+const ensureDefaultDepot = async () => {
+  if (await Depot.exists({ isActive: true })) return null;
+
+  const code = (process.env.DEFAULT_DEPOT_CODE || 'MAIN').toUpperCase();
+  const depot = await Depot.findOneAndUpdate(
+    { code },
+    { $set: { isActive: true }, $setOnInsert: { code, name: 'Main Depot' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  console.log(`🏭 Default depot ${depot.code} ready - add stock with POST /api/inventory/adjust`);
+  return depot;
+};
+
+// Find a depot by id or code, falling back to DEFAULT_DEPOT_CODE or the oldest active depot
+const resolveDepot = async (ref) => {
+  if (ref) {
+    const query = mongoose.Types.ObjectId.isValid(ref)
+      ? { _id: ref }
+      : { code: String(ref).toUpperCase().trim() };
+    return Depot.findOne({ ...query, isActive: true });
+  }
+
+  if (process.env.DEFAULT_DEPOT_CODE) {
+    return Depot.findOne({ code: process.env.DEFAULT_DEPOT_CODE.toUpperCase(), isActive: true });
+  }
+  return Depot.findOne({ isActive: true }).sort({ createdAt: 1 });
+};
+
+// Keep Product.stock equal to what is available across all depots, for the catalog
+const syncProductStock = async (productId) => {
+  const [result] = await Inventory.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId) } },
+    { $group: { _id: null, available: { $sum: { $subtract: ['$onHand', '$reserved'] } } } }
+  ]);
+  await Product.updateOne({ _id: productId }, { stock: result ? Math.max(result.available, 0) : 0 });
+};
+
+const alertIfLow = async (io, inventory) => {
+  if (!io || !inventory || !inventory.isLow()) return;
+
+  const populated = await inventory.populate([
+    { path: 'product', select: 'name sku' },
+    { path: 'depot', select: 'name code' }
+  ]);
+
+  io.to(ADMIN_ROOM).emit('low_stock', {
+    product: populated.product,
+    depot: populated.depot,
+    onHand: populated.onHand,
+    reserved: populated.reserved,
+    available: populated.available,
+    threshold: populated.lowStockThreshold
+  });
+  console.log(`⚠️ Low stock: ${populated.product && populated.product.name} at ${populated.depot && populated.depot.code} (${populated.available} left)`);
+};
+
+const logMovement = (inventory, data) => StockMovement.create({
+  product: inventory.product._id || inventory.product,
+  depot: inventory.depot._id || inventory.depot,
+  onHandAfter: inventory.onHand,
+  reservedAfter: inventory.reserved,
+  ...data
+});
+
+// Add up quantities per product so duplicate lines reserve once
+const groupQuantities = (items) => {
+  const totals = new Map();
+  items.forEach(item => {
+    totals.set(item.productId, (totals.get(item.productId) || 0) + item.quantity);
+  });
+  return [...totals.entries()].map(([productId, quantity]) => ({ productId, quantity }));
+};
+
+// Reserve stock for every line or none of them. A product with no inventory row at the depot
+// is not stocked there, so the order is refused rather than sold without a count.
+const reserveStock = async (items, depot, { orderId, orderNumber, io } = {}) => {
+  const reserved = [];
+  const errors = [];
+
+  for (const { productId, quantity } of groupQuantities(items)) {
+    const inventory = await Inventory.findOneAndUpdate(
+      {
+        product: productId,
+        depot: depot._id,
+        $expr: { $gte: [{ $subtract: ['$onHand', '$reserved'] }, quantity] }
+      },
+      { $inc: { reserved: quantity } },
+      { new: true }
+    );
+
+    if (!inventory) {
+      const item = items.find(line => line.productId === productId);
+      const stocked = await Inventory.exists({ product: productId, depot: depot._id });
+      errors.push(stocked
+        ? `${item.name}: not enough stock at ${depot.name}`
+        : `${item.name}: not stocked at ${depot.name}`);
+      continue;
+    }
+    reserved.push({ inventory, quantity });
+  }
+
+  if (errors.length > 0) {
+    // Roll back what we already took
+    await Promise.all(reserved.map(({ inventory, quantity }) =>
+      Inventory.updateOne({ _id: inventory._id }, { $inc: { reserved: -quantity } })
+    ));
+    return { ok: false, errors };
+  }
+
+  for (const { inventory, quantity } of reserved) {
+    await logMovement(inventory, { type: 'reserve', quantity: -quantity, order: orderId, orderNumber, reason: 'Order placed' });
+    await syncProductStock(inventory.product);
+    await alertIfLow(io, inventory);
+  }
+
+  return { ok: true, errors: [] };
+};
+
+// Undo a reservation, e.g. when the order could not be saved
+const releaseReservation = async (items, depot) => {
+  await Promise.all(groupQuantities(items).map(({ productId, quantity }) =>
+    Inventory.updateOne({ product: productId, depot: depot._id }, { $inc: { reserved: -quantity } })
+  ));
+  await Promise.all(groupQuantities(items).map(({ productId }) => syncProductStock(productId)));
+};
+
+// Point a reservation's movements at the order number the order was finally saved with
+const renameReservation = (orderId, orderNumber) =>
+  StockMovement.updateMany({ order: orderId, type: 'reserve' }, { orderNumber });
+
+// Move an order's reserved stock to committed (delivered) or released (cancelled) exactly once
+const settleOrderStock = async (order, outcome, { user, io } = {}) => {
+  const nextStatus = outcome === 'commit' ? 'committed' : 'released';
+
+  // Claim the transition atomically so two requests cannot settle the same order twice
+  const claimed = await Order.updateOne(
+    { _id: order._id, stockStatus: 'reserved' },
+    { stockStatus: nextStatus }
+  );
+  if (claimed.modifiedCount !== 1) return;
+  order.stockStatus = nextStatus;
+
+  for (const { productId, quantity } of groupQuantities(order.items)) {
+    const inc = outcome === 'commit'
+      ? { onHand: -quantity, reserved: -quantity }
+      : { reserved: -quantity };
+
+    const inventory = await Inventory.findOneAndUpdate(
+      { product: productId, depot: order.depot },
+      { $inc: inc },
+      { new: true }
+    );
+    if (!inventory) continue;
+
+    await logMovement(inventory, {
+      type: outcome,
+      quantity: outcome === 'commit' ? -quantity : quantity,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      user: user && user._id,
+      reason: outcome === 'commit' ? 'Order delivered' : 'Order cancelled'
+    });
+    await syncProductStock(productId);
+    if (outcome === 'commit') await alertIfLow(io, inventory);
+  }
+};
+
+// Hook for order status changes
+const applyStatusToStock = async (order, options) => {
+  if (order.status === 'delivered') return settleOrderStock(order, 'commit', options);
+  if (order.status === 'cancelled') return settleOrderStock(order, 'release', options);
+};
+
+// Manual stock correction by staff - always needs a reason
+const adjustStock = async ({ productId, depot, quantity, reason, lowStockThreshold, user, io }) => {
+  const update = { $inc: { onHand: quantity } };
+  if (lowStockThreshold !== undefined) {
+    update.$set = { lowStockThreshold };
+  }
+
+  const filter = { product: productId, depot: depot._id };
+  if (quantity < 0) {
+    // Never take away stock that is already promised to an order
+    filter.$expr = { $gte: [{ $subtract: ['$onHand', '$reserved'] }, -quantity] };
+  }
+
+  const inventory = await Inventory.findOneAndUpdate(filter, update, {
+    new: true,
+    upsert: quantity >= 0,
+    setDefaultsOnInsert: true,
+    runValidators: true
+  });
+  if (!inventory) return null;
+
+  await logMovement(inventory, { type: 'adjustment', quantity, reason, user: user && user._id });
+  await syncProductStock(productId);
+  await alertIfLow(io, inventory);
+
+  return inventory;
+};
+
+module.exports = {
+  ensureDefaultDepot,
+  resolveDepot,
+  reserveStock,
+  releaseReservation,
+  renameReservation,
+  applyStatusToStock,
+  adjustStock,
+  syncProductStock
+};
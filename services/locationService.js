@@ -0,0 +1,140 @@
+const DriverLocation = require('../models/DriverLocation');
+const Order = require('../models/Order');
+const { ADMIN_ROOM, orderRoom } = require('../socket/rooms');
+const { parseCoordinates, toGeoPoint, haversineKm } = require('../utils/geo');
+
+// Pings older than this do not count when suggesting drivers
+const LOCATION_STALE_MINUTES = parseInt(process.env.LOCATION_STALE_MINUTES, 10) || 15;
+
+const optionalNumber = (value) => {
+  const number = Number(value);
+  return value !== undefined && value !== null && Number.isFinite(number) ? number : undefined;
+};
+
+// Store a driver's GPS ping and relay it to the office and to customers on their route
+const recordDriverLocation = async (driver, payload = {}, io) => {
+  const coordinates = parseCoordinates(payload.latitude, payload.longitude);
+  if (!coordinates) {
+    return { error: 'Valid latitude and longitude are required' };
+  }
+
+  const location = await DriverLocation.findOneAndUpdate(
+    { driver: driver._id },
+    {
+      location: toGeoPoint(coordinates),
+      heading: optionalNumber(payload.heading),
+      speed: optionalNumber(payload.speed),
+      accuracy: optionalNumber(payload.accuracy)
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (io) {
+    io.to(ADMIN_ROOM).emit('driver_location', {
+      driverId: driver._id,
+      driverName: driver.name || driver.username,
+      ...coordinates,
+      heading: location.heading,
+      updatedAt: location.updatedAt
+    });
+
+    // Customers only see the van, and only for orders already on the way
+    const enRoute = await Order.find({ assignedDriver: driver._id, status: 'on_the_way' })
+      .select('orderNumber location');
+    enRoute.forEach(order => {
+      const destination = order.location && parseCoordinates(order.location.latitude, order.location.longitude);
+      io.to(orderRoom(order.orderNumber)).emit('driver_location', {
+        orderNumber: order.orderNumber,
+        ...coordinates,
+        distanceKm: destination ? Math.round(haversineKm(coordinates, destination) * 10) / 10 : null,
+        updatedAt: location.updatedAt
+      });
+    });
+  }
+
+  return { location };
+};
+
+// Active drivers with a recent ping, closest first, with their current workload
+const findNearestDrivers = async (coordinates, { limit = 5, maxDistanceKm } = {}) => {
+  const freshSince = new Date(Date.now() - LOCATION_STALE_MINUTES * 60 * 1000);
+
+  const geoNear = {
+    near: toGeoPoint(coordinates),
+    distanceField: 'distanceMeters',
+    spherical: true,
+    query: { updatedAt: { $gte: freshSince } }
+  };
+  if (maxDistanceKm) {
+    geoNear.maxDistance = maxDistanceKm * 1000;
+  }
+
+  return DriverLocation.aggregate([
+    { $geoNear: geoNear },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'driver',
+        foreignField: '_id',
+        as: 'driver'
+      }
+    },
+    { $unwind: '$driver' },
+    { $match: { 'driver.role': 'driver', 'driver.isActive': true } },
+    {
+      $lookup: {
+        from: 'orders',
+        let: { driverId: '$driver._id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ['$assignedDriver', '$$driverId'] },
+              status: { $in: ['confirmed', 'preparing', 'on_the_way'] }
+            }
+          },
+          { $count: 'count' }
+        ],
+        as: 'workload'
+      }
+    },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        driverId: '$driver._id',
+        name: { $ifNull: ['$driver.name', '$driver.username'] },
+        phone: '$driver.phone',
+        latitude: { $arrayElemAt: ['$location.coordinates', 1] },
+        longitude: { $arrayElemAt: ['$location.coordinates', 0] },
+        distanceKm: { $round: [{ $divide: ['$distanceMeters', 1000] }, 2] },
+        activeOrders: { $ifNull: [{ $arrayElemAt: ['$workload.count', 0] }, 0] },
+        lastSeen: '$updatedAt'
+      }
+    }
+  ]);
+};
+
+// Everyone's last known position for the dashboard map
+const getDriverLocations = async () => {
+  const locations = await DriverLocation.find()
+    .populate({ path: 'driver', match: { role: 'driver', isActive: true }, select: 'name username phone' })
+    .sort({ updatedAt: -1 });
+
+  return locations
+    .filter(location => location.driver)
+    .map(location => ({
+      driverId: location.driver._id,
+      name: location.driver.name || location.driver.username,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      heading: location.heading,
+      lastSeen: location.updatedAt,
+      stale: location.updatedAt < new Date(Date.now() - LOCATION_STALE_MINUTES * 60 * 1000)
+    }));
+};
+
+module.exports = {
+  recordDriverLocation,
+  findNearestDrivers,
+  getDriverLocations
+};
@@ -0,0 +1,103 @@
+const NotificationLog = require('../models/NotificationLog');
+const Customer = require('../models/Customer');
+const { getChannel } = require('./notifications');
+const { TEMPLATES, renderMessage, resolveLanguage } = require('./notifications/templates');
+const { buildTrackingView } = require('../utils/orderTracking');
+const { normalizePhone } = require('../utils/phone');
+const { getLocalParts } = require('../utils/time');
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = Number(process.env.NOTIFICATION_RETRY_DELAY_MS) || 2000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// "14:30" for today, "2026-10-21 14:30" for a later day - always shop-local time
+const formatEta = (date, now = new Date()) => {
+  if (!date) return null;
+  const eta = getLocalParts(new Date(date));
+  return eta.date === getLocalParts(now).date ? eta.time : `${eta.date} ${eta.time}`;
+};
+
+// Placeholder values for the templates - the tracking view already redacts the driver to a first name.
+// The customer is greeted by the name on their account; the order's name is only the delivery snapshot.
+const buildMessageVars = async (order, customer) => {
+  const view = await buildTrackingView(order);
+  const name = customer && customer.name ? customer.name : order.customerName;
+  return {
+    name: name ? String(name).trim().split(/\s+/)[0] : null,
+    orderNumber: order.orderNumber,
+    total: order.totalAmount,
+    eta: formatEta(view.estimatedDelivery),
+    driverName: view.driverName
+  };
+};
+
+// Try the provider until it accepts the message, backing off between attempts.
+// Every attempt is written to the log so staff can see what happened.
+const deliver = async (log, provider, { maxAttempts = MAX_ATTEMPTS, retryDelayMs = RETRY_DELAY_MS } = {}) => {
+  for (let attempt = log.attempts + 1; attempt <= maxAttempts; attempt++) {
+    log.attempts = attempt;
+    try {
+      const result = await provider.send({ to: log.to, body: log.body });
+      log.status = 'sent';
+      log.providerMessageId = result && result.id ? String(result.id) : undefined;
+      log.sentAt = new Date();
+      log.lastError = undefined;
+      await log.save();
+      return log;
+    } catch (error) {
+      console.warn(`⚠️ Notification ${log.event} for ${log.orderNumber} failed (attempt ${attempt}/${maxAttempts}):`, error.message);
+      log.lastError = error.message;
+      if (attempt < maxAttempts) {
+        await log.save();
+        await wait(retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  log.status = 'failed';
+  await log.save();
+  console.error(`❌ Gave up on notification ${log.event} for ${log.orderNumber}`);
+  return log;
+};
+
+// Tell the customer about an order event ('placed' or the new status).
+// Never throws - a message that cannot be sent must not fail the order. Callers
+// do not wait for it, so retries happen after the response has gone out.
+const notifyOrderEvent = async (order, event, options = {}) => {
+  if (process.env.NOTIFICATIONS_ENABLED === 'false' || !TEMPLATES[event]) return null;
+
+  try {
+    // Messages go to the account when the order has one - orders from before accounts use the snapshot
+    const customer = order.customerAccount
+      ? await Customer.findById(order.customerAccount).select('name phoneNumber language')
+      : null;
+    const to = normalizePhone(customer ? customer.phoneNumber : order.phoneNumber);
+    if (!to) return null;
+
+    const language = resolveLanguage(customer && customer.language);
+    const body = renderMessage(event, language, await buildMessageVars(order, customer));
+    const { channel, provider } = getChannel();
+
+    const log = await NotificationLog.create({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      event,
+      channel,
+      provider: provider.name,
+      to,
+      language,
+      body
+    });
+
+    return await deliver(log, provider, options);
+  } catch (error) {
+    console.error('❌ Notification error:', error);
+    return null;
+  }
+};
+
+// Delivery log for one order, oldest first
+const getOrderNotifications = (orderId) => NotificationLog.find({ order: orderId }).sort({ createdAt: 1 });
+
+module.exports = { notifyOrderEvent, getOrderNotifications, deliver, formatEta };
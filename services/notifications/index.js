@@ -0,0 +1,20 @@
+const { getSmsProvider } = require('../sms');
+const whatsappProvider = require('./whatsappProvider');
+const logProvider = require('./logProvider');
+
+// Channels a customer notification can go out on - SMS uses whichever SMS provider is configured
+const CHANNELS = {
+  sms: () => getSmsProvider(),
+  whatsapp: () => whatsappProvider,
+  log: () => logProvider
+};
+
+const DEFAULT_CHANNEL = process.env.NODE_ENV === 'test' ? 'log' : 'sms';
+
+// Provider for the configured channel - returns { channel, provider }
+const getChannel = (name = process.env.NOTIFICATION_CHANNEL || DEFAULT_CHANNEL) => {
+  const channel = CHANNELS[name] ? name : DEFAULT_CHANNEL;
+  return { channel, provider: CHANNELS[channel]() };
+};
+
+module.exports = { getChannel, CHANNELS };
@@ -0,0 +1,30 @@
+// Local provider - writes notifications to the server log and keeps them for tests.
+// Set NOTIFICATION_LOG_FAIL_TIMES to make the next sends fail and exercise retries.
+const sent = [];
+let failuresLeft = Number(process.env.NOTIFICATION_LOG_FAIL_TIMES) || 0;
+
+module.exports = {
+  name: 'log',
+  sent,
+
+  send: async ({ to, body }) => {
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      throw new Error('Simulated provider failure');
+    }
+
+    const message = { id: `log-${sent.length + 1}`, to, body, sentAt: new Date() };
+    sent.push(message);
+    console.log(`📨 [Notification to ${to}] ${body}`);
+    return { id: message.id };
+  },
+
+  failNext: (times = 1) => {
+    failuresLeft = times;
+  },
+
+  clear: () => {
+    sent.length = 0;
+    failuresLeft = 0;
+  }
+};
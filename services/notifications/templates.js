@@ -0,0 +1,64 @@
+// Customer messages per order event - every event needs a Somali and an English text.
+// Placeholders in {braces} are filled from the order when the message is sent.
+const LANGUAGES = ['so', 'en'];
+const DEFAULT_LANGUAGE = LANGUAGES.includes(process.env.NOTIFICATION_LANGUAGE) ? process.env.NOTIFICATION_LANGUAGE : 'so';
+
+const TEMPLATES = {
+  placed: {
+    so: 'Salaan {name}, waxaan helnay dalabkaaga {orderNumber} oo dhan ${total}. Waan kuu soo sheegi doonaa marka la xaqiijiyo.',
+    en: 'Hi {name}, we received your order {orderNumber} for ${total}. We will let you know once it is confirmed.'
+  },
+  confirmed: {
+    so: 'Dalabkaaga {orderNumber} waa la xaqiijiyay. Waxaa la filayaa inuu ku soo gaaro {eta}.',
+    en: 'Your order {orderNumber} is confirmed. Expected delivery by {eta}.'
+  },
+  preparing: {
+    so: 'Dalabkaaga {orderNumber} waa la diyaarinayaa.',
+    en: 'We are preparing your order {orderNumber}.'
+  },
+  on_the_way: {
+    so: 'Dalabkaaga {orderNumber} waa soo socdaa, waxaa wada {driverName}. Fadlan diyaarso dhiisha madhan.',
+    en: 'Your order {orderNumber} is on the way with {driverName}. Please have your empty cylinders ready.'
+  },
+  delivered: {
+    so: 'Dalabkaaga {orderNumber} waa la keenay. Waad ku mahadsan tahay doorashada Sagal Gas!',
+    en: 'Your order {orderNumber} has been delivered. Thank you for choosing Sagal Gas!'
+  },
+  payment_received: {
+    so: 'Waxaan helnay lacag-bixintaada ${total} ee dalabka {orderNumber}. Mahadsanid!',
+    en: 'We received your payment of ${total} for order {orderNumber}. Thank you!'
+  },
+  payment_failed: {
+    so: 'Lacag-bixinta dalabka {orderNumber} way fashilantay. Fadlan isku day mar kale ama lacag caddaan ah bixi marka laguu keeno.',
+    en: 'The payment for order {orderNumber} did not go through. Please try again or pay cash on delivery.'
+  },
+  cancelled: {
+    so: 'Dalabkaaga {orderNumber} waa la joojiyay. Nala soo xiriir haddii aad su\'aal qabto.',
+    en: 'Your order {orderNumber} has been cancelled. Please contact us if you have any questions.'
+  }
+};
+
+// Used when the order has no value for a placeholder
+const FALLBACKS = {
+  so: { name: 'macmiil', driverName: 'darawalkayaga', eta: 'dhawaan' },
+  en: { name: 'there', driverName: 'our driver', eta: 'soon' }
+};
+
+const resolveLanguage = (language) => (LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE);
+
+// Render the message for an event, or null when the event has no template
+const renderMessage = (event, language, vars = {}) => {
+  const templates = TEMPLATES[event];
+  if (!templates) return null;
+
+  const lang = resolveLanguage(language);
+  return templates[lang].replace(/\{(\w+)\}/g, (match, key) => {
+    const value = vars[key];
+    if (value === undefined || value === null || value === '') {
+      return FALLBACKS[lang][key] || '';
+    }
+    return String(value);
+  });
+};
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE, TEMPLATES, renderMessage, resolveLanguage };
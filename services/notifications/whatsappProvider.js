@@ -0,0 +1,27 @@
+const { postJson } = require('../../utils/http');
+
+const GRAPH_API_URL = process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v19.0';
+
+// WhatsApp Cloud API - plain text messages from the business number
+module.exports = {
+  name: 'whatsapp',
+
+  send: async ({ to, body }) => {
+    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    const accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
+    if (!phoneNumberId || !accessToken) {
+      throw new Error('WhatsApp is not configured');
+    }
+
+    const response = await postJson(`${GRAPH_API_URL}/${phoneNumberId}/messages`, {
+      messaging_product: 'whatsapp',
+      to,
+      type: 'text',
+      text: { body }
+    }, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    return { id: response.messages && response.messages[0] ? response.messages[0].id : null };
+  }
+};
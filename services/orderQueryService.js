@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Fields the list can be sorted on - all are set on every order, so cursors never meet a null
+const SORT_FIELDS = {
+  createdAt: 'date',
+  updatedAt: 'date',
+  totalAmount: 'number',
+  orderNumber: 'string',
+  status: 'string'
+};
+
+// "sort=totalAmount&order=asc" or "sort=-totalAmount". Returns { field, direction } or { error }.
+const parseSort = ({ sort = 'createdAt', order, direction } = {}) => {
+  let field = String(sort);
+  let dir = String(order || direction || '').toLowerCase();
+  if (field.startsWith('-')) {
+    field = field.slice(1);
+    dir = dir || 'desc';
+  }
+  if (!SORT_FIELDS[field]) {
+    return { error: `Sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+  }
+  if (dir && !['asc', 'desc'].includes(dir)) {
+    return { error: 'Order must be asc or desc' };
+  }
+  return { field, direction: dir === 'asc' ? 1 : -1 };
+};
+
+const parseLimit = (limit) => {
+  const value = parseInt(limit, 10);
+  if (!Number.isFinite(value) || value < 1) return DEFAULT_LIMIT;
+  return Math.min(value, MAX_LIMIT);
+};
+
+// Cursors are opaque to clients: the last row's sort value and id, base64url encoded
+const encodeCursor = (order, field) => Buffer
+  .from(JSON.stringify({ v: order[field], id: order._id }))
+  .toString('base64url');
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+    const type = SORT_FIELDS[field];
+    const value = type === 'date' ? new Date(v) : type === 'number' ? Number(v) : String(v);
+    if ((type === 'date' && Number.isNaN(value.getTime())) || (type === 'number' && !Number.isFinite(value))) {
+      return null;
+    }
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Rows strictly after the cursor in (field, _id) order - stable while new orders keep arriving
+const afterCursor = ({ value, id }, field, direction) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+// One page of orders. Pass a cursor from the previous page for stable scrolling; a page
+// number still works for older clients. Pass { withDeleted: true } to page through the archive.
+// Returns { orders, pagination } or { error }.
+const findOrderPage = async (filter, params = {}, { withDeleted = false } = {}) => {
+  const sort = parseSort(params);
+  if (sort.error) return { error: sort.error };
+
+  const { field, direction } = sort;
+  const limit = parseLimit(params.limit);
+  const page = params.cursor ? null : Math.max(parseInt(params.page, 10) || 1, 1);
+
+  let query = filter;
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor, field);
+    if (!cursor) return { error: 'Invalid cursor - start again from the first page' };
+    query = { $and: [filter, afterCursor(cursor, field, direction)] };
+  }
+
+  // Fetch one extra row to know whether there is another page
+  let find = Order.find(query).setOptions({ withDeleted }).sort({ [field]: direction, _id: direction }).limit(limit + 1);
+  if (page > 1) find = find.skip((page - 1) * limit);
+
+  // Totals only on the first request - counting on every scroll would undo the point of cursors
+  const [rows, total] = await Promise.all([
+    find,
+    params.cursor ? null : Order.countDocuments(filter).setOptions({ withDeleted })
+  ]);
+
+  const hasMore = rows.length > limit;
+  const orders = hasMore ? rows.slice(0, limit) : rows;
+
+  const pagination = {
+    limit,
+    sort: field,
+    order: direction === 1 ? 'asc' : 'desc',
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(orders[orders.length - 1], field) : null
+  };
+  if (total !== null) {
+    pagination.current = page;
+    pagination.pages = Math.ceil(total / limit);
+    pagination.total = total;
+  }
+
+  return { orders, pagination };
+};
+
+module.exports = { findOrderPage, parseSort, encodeCursor, decodeCursor, SORT_FIELDS };
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Customer = require('../models/Customer');
+const { generateOrderNumber } = require('../utils/generateOrderNumber');
+const { priceOrderItems, checkClientTotal, roundMoney } = require('../utils/pricing');
+const { parseCoordinates } = require('../utils/geo');
+const { normalizePhone } = require('../utils/phone');
+const { ADMIN_ROOM } = require('../socket/rooms');
+const { serializeSocketOrder } = require('../serializers/orderSerializer');
+const inventoryService = require('./inventoryService');
+const zoneService = require('./zoneService');
+const scheduleService = require('./scheduleService');
+const notificationService = require('./notificationService');
+const paymentService = require('./paymentService');
+const { LANGUAGES } = require('./notifications/templates');
+
+const fail = (status, message, errors) => ({ status, message, errors });
+
+// How many fresh order numbers to try when one is already taken
+const ORDER_NUMBER_ATTEMPTS = 3;
+
+const isOrderNumberConflict = (error) =>
+  error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.orderNumber);
+
+// How close together two identical orders must be to look like a double submit
+const DUPLICATE_WINDOW_MINUTES = Number(process.env.DUPLICATE_WINDOW_MINUTES) || 10;
+
+// Same products, quantities and purchase types, in any order
+const itemsSignature = (items) => items
+  .map(item => `${item.productId}:${item.quantity}:${item.purchaseType || ''}`)
+  .sort()
+  .join('|');
+
+// A recent open order from the same customer with the same items - flagged, never refused,
+// because a customer can genuinely want two deliveries
+const findPossibleDuplicate = async (customerAccountId, items) => {
+  const since = new Date(Date.now() - DUPLICATE_WINDOW_MINUTES * 60 * 1000);
+  const recent = await Order.find({
+    customerAccount: customerAccountId,
+    status: { $ne: 'cancelled' },
+    createdAt: { $gte: since }
+  }).select('orderNumber items').sort({ createdAt: -1 });
+
+  const signature = itemsSignature(items);
+  return recent.find(order => itemsSignature(order.items) === signature) || null;
+};
+
+// Guests are matched to an account by phone, so their orders show up once they log in
+const findOrCreateCustomer = (phoneNumber, name, language) => Customer.findOneAndUpdate(
+  { phoneNumber: normalizePhone(phoneNumber) },
+  { $setOnInsert: { name }, ...(language ? { $set: { language } } : {}) },
+  { upsert: true, new: true }
+);
+
+// The one way an order gets created - used by the public API and by recurring subscriptions.
+// Pass customerAccount when a logged in customer is ordering - their phone and saved addresses are used.
+// Input uses the current field names - old app formats are normalized by the route's validation.
+// Returns { order, priceWarning, payment, paymentError, duplicateOf } or { status, message, errors } when the order is refused.
+const placeOrder = async (input, { io, source = 'app', subscription, customerAccount } = {}) => {
+  const {
+    customerName,
+    phoneNumber,
+    address,
+    items,
+    totalAmount,
+    paymentMethod,
+    paymentProvider,
+    paymentPhone,
+    location: requestedLocation,
+    addressId,
+    deliverySlot: requestedSlot,
+    depot: depotRef,
+    language,
+    notes
+  } = input;
+
+  // Logged in customers can pick a saved address, or fall back to their default one
+  let savedAddress = null;
+  if (customerAccount && addressId) {
+    savedAddress = customerAccount.addresses.id(addressId);
+    if (!savedAddress) {
+      return fail(400, 'Saved address not found');
+    }
+  } else if (customerAccount && !address) {
+    savedAddress = customerAccount.getDefaultAddress();
+  }
+
+  const finalCustomerName = customerName || (customerAccount && customerAccount.name);
+  const finalPhoneNumber = customerAccount ? customerAccount.phoneNumber : phoneNumber;
+  const finalAddress = savedAddress ? savedAddress.address : address;
+  const location = savedAddress && savedAddress.location && savedAddress.location.latitude !== undefined
+    ? savedAddress.location
+    : requestedLocation;
+
+  console.log('🔍 Extracted order data:', {
+    customerName: finalCustomerName,
+    phoneNumber: finalPhoneNumber,
+    address: finalAddress,
+    itemsCount: items?.length,
+    totalAmount
+  });
+
+  // Requests are checked at the route - this covers subscriptions and accounts missing a default address
+  if (!finalCustomerName || !finalPhoneNumber || !finalAddress) {
+    return fail(400, 'Please provide customer name, phone number, and address');
+  }
+
+  if (!items || items.length === 0) {
+    return fail(400, 'Please add at least one item to the order');
+  }
+
+  // Online orders need a wallet provider we can actually charge
+  if (paymentMethod === 'online') {
+    const { error } = paymentService.resolveProvider(paymentProvider);
+    if (error) {
+      return fail(400, error);
+    }
+  }
+
+  // Prices always come from the catalog - the app's total is only checked
+  const pricing = await priceOrderItems(items);
+  if (pricing.errors.length > 0) {
+    return fail(400, 'Some items in your order are not available', pricing.errors);
+  }
+
+  // Scheduled orders are checked against the zone's hours at delivery time, not now
+  const requestedSlotStart = requestedSlot && (requestedSlot.start || requestedSlot);
+  const deliverAt = requestedSlotStart && !Number.isNaN(new Date(requestedSlotStart).getTime())
+    ? new Date(requestedSlotStart)
+    : new Date();
+
+  // Only deliver where we have a zone, and charge that zone's fee
+  const coordinates = location && parseCoordinates(location.latitude, location.longitude);
+  const serviceability = await zoneService.checkServiceability({ coordinates, subtotal: pricing.subtotal, at: deliverAt });
+  if (serviceability.error) {
+    return fail(422, serviceability.error);
+  }
+  const { zone, deliveryFee } = serviceability;
+  const orderTotal = roundMoney(pricing.total + deliveryFee);
+
+  const priceWarning = checkClientTotal(totalAmount, orderTotal);
+  if (priceWarning) {
+    console.warn('⚠️ Client total mismatch:', priceWarning);
+  }
+
+  const account = customerAccount || await findOrCreateCustomer(
+    finalPhoneNumber,
+    finalCustomerName,
+    LANGUAGES.includes(language) ? language : undefined
+  );
+
+  const depot = await inventoryService.resolveDepot(depotRef || (zone && zone.depot));
+  if (!depot) {
+    return fail(503, 'We are not taking orders right now. Please try again later.');
+  }
+
+  // Take a place in the requested delivery window
+  let slot = null;
+  if (requestedSlotStart) {
+    if (!zone) {
+      return fail(422, 'Scheduled delivery is not available for this location');
+    }
+    const booking = await scheduleService.bookSlot(zone, requestedSlotStart);
+    if (booking.error) {
+      return fail(booking.full ? 409 : 422, booking.error);
+    }
+    slot = booking.slot;
+  }
+
+  const duplicate = await findPossibleDuplicate(account._id, pricing.items);
+  if (duplicate) {
+    console.warn(`⚠️ Order looks like a duplicate of ${duplicate.orderNumber}`);
+  }
+
+  // Hold the stock before the order exists so we never sell cylinders we do not have
+  const orderId = new mongoose.Types.ObjectId();
+  const orderNumber = await generateOrderNumber({ prefix: depot.orderPrefix });
+  const reservation = await inventoryService.reserveStock(pricing.items, depot, { orderId, orderNumber, io });
+  if (!reservation.ok) {
+    if (slot) await scheduleService.releaseSlot(zone._id, slot.start);
+    return fail(409, 'Sorry, some items are out of stock', reservation.errors);
+  }
+
+  // The account is the customer; name, phone and address are the delivery snapshot (see models/Order)
+  const orderData = {
+    _id: orderId,
+    customerAccount: account._id,
+    possibleDuplicateOf: duplicate ? duplicate._id : undefined,
+    duplicateStatus: duplicate ? 'flagged' : undefined,
+    customerName: finalCustomerName,
+    phoneNumber: finalPhoneNumber,
+    address: finalAddress,
+    location,
+    items: pricing.items,
+    emptiesExpected: pricing.emptiesExpected,
+    depositTotal: pricing.depositTotal,
+    deliveryFee,
+    zone: zone ? zone._id : undefined,
+    zoneName: zone ? zone.name : undefined,
+    totalAmount: orderTotal,
+    clientTotal: totalAmount,
+    paymentMethod: paymentMethod || 'cash_on_delivery',
+    depot: depot._id,
+    stockStatus: 'reserved',
+    deliverySlot: slot ? { start: slot.start, end: slot.end } : undefined,
+    estimatedDelivery: slot ? slot.end : await scheduleService.estimateAsapDelivery(zone),
+    notes,
+    source,
+    subscription,
+    orderNumber
+  };
+
+  console.log('🔄 Creating order in database:', orderData);
+
+  // The counter makes clashes rare (e.g. numbers entered by hand or a reset counter) - take the next one
+  let order;
+  for (let attempt = 1; !order; attempt++) {
+    try {
+      order = await Order.create(orderData);
+    } catch (error) {
+      if (isOrderNumberConflict(error) && attempt < ORDER_NUMBER_ATTEMPTS) {
+        console.warn(`⚠️ Order number ${orderData.orderNumber} already taken, retrying`);
+        orderData.orderNumber = await generateOrderNumber({ prefix: depot.orderPrefix });
+        continue;
+      }
+      await inventoryService.releaseReservation(pricing.items, depot);
+      if (slot) await scheduleService.releaseSlot(zone._id, slot.start);
+      throw error;
+    }
+  }
+
+  if (order.orderNumber !== orderNumber) {
+    await inventoryService.renameReservation(orderId, order.orderNumber);
+  }
+
+  console.log('✅ Order created successfully:', order.orderNumber);
+
+  // Emit real-time update to office admin panel
+  if (io) {
+    io.to(ADMIN_ROOM).emit('new_order', serializeSocketOrder(order));
+    console.log('📢 Real-time notification sent to admin');
+  }
+
+  // Not awaited - the customer's message is retried in the background
+  notificationService.notifyOrderEvent(order, 'placed');
+
+  // Push the payment request to the customer's phone - a refused request leaves the order for the office
+  let payment = null;
+  let paymentError = null;
+  if (order.paymentMethod === 'online') {
+    const result = await paymentService.initiatePayment(order, { provider: paymentProvider, phoneNumber: paymentPhone });
+    order = result.order || order;
+    payment = result.payment;
+    paymentError = result.error;
+  }
+
+  return { order, priceWarning, payment, paymentError, duplicateOf: duplicate ? duplicate.orderNumber : null };
+};
+
+module.exports = { placeOrder };
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const OtpCode = require('../models/OtpCode');
+const { sendSms } = require('./sms');
+
+const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES) || 5;
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_SECONDS = Number(process.env.OTP_RESEND_SECONDS) || 60;
+
+const hashCode = (phoneNumber, code) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET || 'gas_delivery_secret')
+  .update(`${phoneNumber}:${code}`)
+  .digest('hex');
+
+const generateCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+// Text a fresh login code - any earlier code for the number stops working.
+// Returns { expiresAt } or { error, retryAfter } when asked again too soon.
+const requestCode = async (phoneNumber, { now = new Date() } = {}) => {
+  const latest = await OtpCode.findOne({ phoneNumber }).sort({ createdAt: -1 });
+  if (latest) {
+    const waitMs = latest.createdAt.getTime() + OTP_RESEND_SECONDS * 1000 - now.getTime();
+    if (waitMs > 0) {
+      return {
+        error: 'Please wait before requesting another code',
+        retryAfter: Math.ceil(waitMs / 1000)
+      };
+    }
+  }
+
+  const code = generateCode();
+  const expiresAt = new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000);
+
+  await OtpCode.deleteMany({ phoneNumber });
+  await OtpCode.create({ phoneNumber, codeHash: hashCode(phoneNumber, code), expiresAt });
+  await sendSms(phoneNumber, `Your Sagal Gas login code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`);
+
+  return { expiresAt };
+};
+
+// Check a code - each code allows a few wrong guesses and is single use.
+// Returns { ok: true } or { error }.
+const verifyCode = async (phoneNumber, code, { now = new Date() } = {}) => {
+  const otp = await OtpCode.findOne({ phoneNumber, expiresAt: { $gt: now } }).sort({ createdAt: -1 });
+  if (!otp) {
+    return { error: 'Code has expired. Please request a new one.' };
+  }
+  if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+    return { error: 'Too many wrong codes. Please request a new one.' };
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(phoneNumber, String(code).trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    await OtpCode.updateOne({ _id: otp._id }, { $inc: { attempts: 1 } });
+    return { error: 'Incorrect code' };
+  }
+
+  await OtpCode.deleteMany({ phoneNumber });
+  return { ok: true };
+};
+
+module.exports = { requestCode, verifyCode };
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { PROVIDERS, getPaymentProvider } = require('./payments');
+const notificationService = require('./notificationService');
+const { ADMIN_ROOM } = require('../socket/rooms');
+const { normalizePhone } = require('../utils/phone');
+
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'USD';
+
+// Our reference for one payment attempt - unique even when an order is paid for twice
+const buildReference = (orderNumber) => `${orderNumber}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+// A paid event must be for exactly what we asked for - compared in cents to avoid float noise
+const matchesRequest = (payment, event) => event.amount !== undefined &&
+  Math.round(event.amount * 100) === Math.round(payment.amount * 100) &&
+  event.currency === String(payment.currency).toUpperCase();
+
+const getCallbackUrl = (providerName) => `${process.env.PUBLIC_URL || ''}/api/payments/webhook/${providerName}`;
+
+// Check the requested provider before an order is created - returns { provider } or { error }
+const resolveProvider = (providerName) => {
+  if (!providerName) {
+    return { error: 'Please choose how you want to pay (EVC Plus, Zaad or Sahal)' };
+  }
+  const provider = getPaymentProvider(providerName);
+  if (!provider) {
+    return { error: `${PROVIDERS[providerName] ? PROVIDERS[providerName].label : providerName} payments are not available` };
+  }
+  return { provider };
+};
+
+// Ask the customer's wallet to pay for the order. The order stays pending until the webhook arrives.
+// The order is updated atomically because the webhook can land before the provider call returns.
+// Returns { payment, order } or { payment, order, error } when the provider refused the request.
+const initiatePayment = async (order, { provider: providerName, phoneNumber } = {}) => {
+  const { provider, error } = resolveProvider(providerName || order.paymentProvider);
+  if (error) return { order, error };
+
+  const payment = await Payment.create({
+    order: order._id,
+    orderNumber: order.orderNumber,
+    provider: provider.name,
+    reference: buildReference(order.orderNumber),
+    phoneNumber: normalizePhone(phoneNumber || order.phoneNumber),
+    amount: order.totalAmount,
+    currency: PAYMENT_CURRENCY
+  });
+
+  let updated = await Order.findOneAndUpdate(
+    { _id: order._id },
+    { $set: { paymentStatus: 'pending', paymentProvider: provider.name } },
+    { new: true }
+  );
+
+  try {
+    const { transactionId } = await provider.initiate({
+      reference: payment.reference,
+      amount: payment.amount,
+      currency: payment.currency,
+      phoneNumber: payment.phoneNumber,
+      description: `Sagal Gas order ${order.orderNumber}`,
+      callbackUrl: getCallbackUrl(provider.name)
+    });
+
+    if (transactionId) {
+      await Payment.updateOne({ _id: payment._id }, { $set: { providerTransactionId: transactionId } });
+      payment.providerTransactionId = transactionId;
+    }
+
+    console.log(`💳 Payment ${payment.reference} requested from ${provider.label}`);
+    return { payment, order: updated };
+  } catch (initiateError) {
+    console.error(`❌ ${provider.label} payment request failed:`, initiateError.message);
+    await Payment.updateOne({ _id: payment._id, status: 'pending' }, {
+      $set: { status: 'failed', failureReason: initiateError.message, failedAt: new Date() }
+    });
+    updated = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: 'pending' },
+      { $set: { paymentStatus: 'failed' } },
+      { new: true }
+    ) || updated;
+
+    return { payment, order: updated, error: 'We could not start the payment. Please try again or pay cash on delivery.' };
+  }
+};
+
+// Provider callback - verify the signature, settle the payment once, and update the order.
+// Returns { payment, order }, { ignored: reason } or { status, message } when the request is refused.
+const handleWebhook = async (providerName, { rawBody, headers, body }, { io } = {}) => {
+  // Providers that are switched off (e.g. the mock wallet) accept no webhooks either
+  const provider = getPaymentProvider(providerName);
+  if (!provider) {
+    return { status: 404, message: 'Unknown payment provider' };
+  }
+  if (!provider.verifyWebhook(rawBody, headers)) {
+    console.warn(`⛔ Rejected ${providerName} webhook with a bad signature`);
+    return { status: 401, message: 'Invalid signature' };
+  }
+
+  const event = provider.parseWebhook(body || {});
+  if (!event.reference) {
+    return { status: 400, message: 'Payment reference is required' };
+  }
+  if (event.status === 'pending') {
+    return { ignored: 'Payment still in progress' };
+  }
+
+  if (event.status === 'paid') {
+    const requested = await Payment.findOne({ reference: event.reference, provider: provider.name });
+    if (requested && !matchesRequest(requested, event)) {
+      console.warn(`⛔ Refused ${providerName} webhook for ${event.reference}: paid ${event.amount} ${event.currency}, expected ${requested.amount} ${requested.currency}`);
+      return { status: 422, message: 'Payment amount or currency does not match the request' };
+    }
+  }
+
+  // Claim the pending payment so a repeated webhook cannot settle it twice
+  const now = new Date();
+  const update = event.status === 'paid'
+    ? { status: 'paid', paidAt: now }
+    : { status: 'failed', failedAt: now, failureReason: event.reason || 'Declined by provider' };
+  if (event.transactionId) update.providerTransactionId = event.transactionId;
+
+  const payment = await Payment.findOneAndUpdate(
+    { reference: event.reference, provider: provider.name, status: 'pending' },
+    { $set: update },
+    { new: true }
+  );
+  if (!payment) {
+    const existing = await Payment.exists({ reference: event.reference, provider: provider.name });
+    return existing ? { ignored: 'Payment already settled' } : { status: 404, message: 'Payment not found' };
+  }
+
+  // A failed attempt must not undo an earlier attempt that went through
+  const order = event.status === 'paid'
+    ? await Order.findOneAndUpdate({ _id: payment.order }, { $set: { paymentStatus: 'paid', paidAt: now } }, { new: true })
+    : await Order.findOneAndUpdate({ _id: payment.order, paymentStatus: 'pending' }, { $set: { paymentStatus: 'failed' } }, { new: true });
+
+  console.log(`💳 Payment ${payment.reference} ${payment.status}`);
+
+  if (order) {
+    if (io) {
+      io.to(ADMIN_ROOM).emit('payment_updated', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        paymentStatus: order.paymentStatus,
+        reference: payment.reference
+      });
+    }
+    notificationService.notifyOrderEvent(order, event.status === 'paid' ? 'payment_received' : 'payment_failed');
+  }
+
+  return { payment, order };
+};
+
+// Pay back a settled online payment (Admin) - returns { payment } or { status, message }
+const refundPayment = async (order, user) => {
+  if (order.paymentStatus !== 'paid') {
+    return { status: 409, message: 'Only paid orders can be refunded' };
+  }
+
+  const payment = await Payment.findOne({ order: order._id, status: 'paid' }).sort({ createdAt: -1 });
+  if (!payment) {
+    return { status: 409, message: 'No online payment found for this order' };
+  }
+
+  const provider = PROVIDERS[payment.provider];
+  try {
+    await provider.refund({
+      transactionId: payment.providerTransactionId,
+      reference: payment.reference,
+      amount: payment.amount
+    });
+  } catch (error) {
+    console.error(`❌ Refund of ${payment.reference} failed:`, error.message);
+    return { status: 502, message: `Refund failed: ${error.message}` };
+  }
+
+  payment.status = 'refunded';
+  payment.refundedAt = new Date();
+  payment.refundedBy = user && user._id;
+  await payment.save();
+
+  order.paymentStatus = 'refunded';
+  await order.save();
+
+  console.log(`↩️ Payment ${payment.reference} refunded by ${user && user.username}`);
+  return { payment };
+};
+
+const getOrderPayments = (orderId) => Payment.find({ order: orderId }).sort({ createdAt: 1 });
+
+module.exports = { resolveProvider, initiatePayment, handleWebhook, refundPayment, getOrderPayments };
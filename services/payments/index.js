@@ -0,0 +1,21 @@
+const { createMobileMoneyProvider } = require('./mobileMoneyProvider');
+const mockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+  evc_plus: createMobileMoneyProvider({ name: 'evc_plus', label: 'EVC Plus', envPrefix: 'EVC_PLUS' }),
+  zaad: createMobileMoneyProvider({ name: 'zaad', label: 'Zaad', envPrefix: 'ZAAD' }),
+  sahal: createMobileMoneyProvider({ name: 'sahal', label: 'Sahal', envPrefix: 'SAHAL' }),
+  mock: mockProvider
+};
+
+// Only providers with credentials can take payments
+const getPaymentProvider = (name) => {
+  const provider = PROVIDERS[name];
+  return provider && provider.isConfigured() ? provider : null;
+};
+
+const getAvailableProviders = () => Object.values(PROVIDERS)
+  .filter(provider => provider.isConfigured())
+  .map(provider => ({ name: provider.name, label: provider.label }));
+
+module.exports = { PROVIDERS, getPaymentProvider, getAvailableProviders };
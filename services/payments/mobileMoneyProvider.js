@@ -0,0 +1,75 @@
+const { postJson } = require('../../utils/http');
+const { verifySignature } = require('./signature');
+
+// Provider statuses that settle a payment - anything else is still in progress
+const PAID_STATUSES = ['success', 'successful', 'completed', 'paid', 'approved'];
+const FAILED_STATUSES = ['failed', 'declined', 'cancelled', 'canceled', 'expired', 'rejected'];
+
+// Local mobile money wallets (EVC Plus, Zaad, Sahal) share the same flow: we push a payment
+// request to the customer's phone, they approve it, and the provider calls our webhook.
+// Each provider is configured with <PREFIX>_API_URL, <PREFIX>_API_KEY, <PREFIX>_MERCHANT_ID
+// and <PREFIX>_WEBHOOK_SECRET.
+const createMobileMoneyProvider = ({ name, label, envPrefix }) => {
+  const env = (key) => process.env[`${envPrefix}_${key}`];
+
+  return {
+    name,
+    label,
+
+    isConfigured: () => Boolean(env('API_URL') && env('API_KEY') && env('WEBHOOK_SECRET')),
+
+    initiate: async ({ reference, amount, currency, phoneNumber, description, callbackUrl }) => {
+      if (!env('API_URL') || !env('API_KEY')) {
+        throw new Error(`${label} is not configured`);
+      }
+
+      const response = await postJson(`${env('API_URL')}/payments`, {
+        merchantId: env('MERCHANT_ID'),
+        reference,
+        amount,
+        currency,
+        phoneNumber,
+        description,
+        callbackUrl
+      }, {
+        headers: { Authorization: `Bearer ${env('API_KEY')}` }
+      });
+
+      return { transactionId: response.transactionId || response.id || null };
+    },
+
+    refund: async ({ transactionId, reference, amount }) => {
+      if (!env('API_URL') || !env('API_KEY')) {
+        throw new Error(`${label} is not configured`);
+      }
+
+      const response = await postJson(`${env('API_URL')}/refunds`, {
+        merchantId: env('MERCHANT_ID'),
+        transactionId,
+        reference,
+        amount
+      }, {
+        headers: { Authorization: `Bearer ${env('API_KEY')}` }
+      });
+
+      return { refundId: response.refundId || response.id || null };
+    },
+
+    verifyWebhook: (rawBody, headers) => verifySignature(rawBody, headers['x-signature'], env('WEBHOOK_SECRET')),
+
+    // Returns { reference, transactionId, status: 'paid' | 'failed' | 'pending', amount, currency, reason }
+    parseWebhook: (body) => {
+      const status = String(body.status || '').toLowerCase();
+      return {
+        reference: body.reference,
+        transactionId: body.transactionId || body.id,
+        status: PAID_STATUSES.includes(status) ? 'paid' : FAILED_STATUSES.includes(status) ? 'failed' : 'pending',
+        amount: body.amount === undefined ? undefined : Number(body.amount),
+        currency: body.currency ? String(body.currency).toUpperCase() : undefined,
+        reason: body.reason || body.message
+      };
+    }
+  };
+};
+
+module.exports = { createMobileMoneyProvider, PAID_STATUSES, FAILED_STATUSES };
@@ -0,0 +1,49 @@
+const { signPayload, verifySignature } = require('./signature');
+
+// Test provider - accepts every payment request and lets tests send themselves signed webhooks.
+// Off unless PAYMENT_MOCK_ENABLED=true, and it needs its own PAYMENT_MOCK_WEBHOOK_SECRET: anyone
+// holding the secret can mark mock orders paid, so there is deliberately no default.
+const webhookSecret = () => process.env.PAYMENT_MOCK_WEBHOOK_SECRET;
+
+const initiated = [];
+
+module.exports = {
+  name: 'mock',
+  label: 'Mock wallet',
+  initiated,
+
+  isConfigured: () => process.env.PAYMENT_MOCK_ENABLED === 'true' && Boolean(webhookSecret()),
+
+  initiate: async (request) => {
+    const transactionId = `mock-${initiated.length + 1}`;
+    initiated.push({ ...request, transactionId });
+    console.log(`💳 [Mock payment ${request.reference}] ${request.amount} ${request.currency} from ${request.phoneNumber}`);
+    return { transactionId };
+  },
+
+  refund: async ({ transactionId }) => ({ refundId: `refund-${transactionId}` }),
+
+  verifyWebhook: (rawBody, headers) => verifySignature(rawBody, headers['x-signature'], webhookSecret()),
+
+  parseWebhook: (body) => ({
+    reference: body.reference,
+    transactionId: body.transactionId,
+    status: ['paid', 'failed'].includes(body.status) ? body.status : 'pending',
+    amount: body.amount === undefined ? undefined : Number(body.amount),
+    currency: body.currency ? String(body.currency).toUpperCase() : undefined,
+    reason: body.reason
+  }),
+
+  // Build the signed request the provider would send - { rawBody, headers }
+  buildWebhook: (payload) => {
+    const rawBody = JSON.stringify(payload);
+    return {
+      rawBody,
+      headers: { 'content-type': 'application/json', 'x-signature': signPayload(rawBody, webhookSecret()) }
+    };
+  },
+
+  clear: () => {
+    initiated.length = 0;
+  }
+};
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Webhooks are signed with HMAC-SHA256 of the raw request body, hex encoded
+const signPayload = (rawBody, secret) => crypto
+  .createHmac('sha256', secret)
+  .update(rawBody)
+  .digest('hex');
+
+const verifySignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = Buffer.from(signPayload(rawBody, secret), 'hex');
+  const actual = Buffer.from(String(signature).replace(/^sha256=/, ''), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = { signPayload, verifySignature };
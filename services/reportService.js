@@ -0,0 +1,234 @@
+const Order = require('../models/Order');
+const { TIMEZONE, getLocalParts, zonedTimeToUtc, addDays, isCalendarDate } = require('../utils/time');
+
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 366;
+
+// Bucket labels per interval - weeks are ISO weeks, e.g. 2026-W43
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// from/to are local calendar days (both included) in the requested timezone.
+// Returns { range: { from, to, timezone, start, end } } or { error }.
+const parseRange = ({ from, to, timezone, tz } = {}) => {
+  const timeZone = timezone || tz || TIMEZONE;
+  if (!isValidTimeZone(timeZone)) {
+    return { error: `Unknown timezone: ${timeZone}` };
+  }
+
+  const today = getLocalParts(new Date(), timeZone).date;
+  const toDate = to || today;
+  const fromDate = from || addDays(toDate, -(DEFAULT_RANGE_DAYS - 1));
+
+  if (!isCalendarDate(fromDate) || !isCalendarDate(toDate)) {
+    return { error: 'from and to must be valid dates in YYYY-MM-DD format' };
+  }
+  if (fromDate > toDate) {
+    return { error: 'from must be on or before to' };
+  }
+
+  const start = zonedTimeToUtc(fromDate, '00:00', timeZone);
+  const end = zonedTimeToUtc(addDays(toDate, 1), '00:00', timeZone);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if ((end - start) / (24 * 60 * 60 * 1000) > MAX_RANGE_DAYS) {
+    return { error: `Reports cover at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { range: { from: fromDate, to: toDate, timezone: timeZone, start, end } };
+};
+
+// Orders placed in the range, tagged with what every report needs
+const baseStages = (range) => [
+  { $match: { createdAt: { $gte: range.start, $lt: range.end } } },
+  {
+    $addFields: {
+      isDelivered: { $eq: ['$status', 'delivered'] },
+      isCancelled: { $eq: ['$status', 'cancelled'] },
+      // When the order reached delivered, from the status timeline
+      deliveredAt: {
+        $let: {
+          vars: {
+            entry: {
+              $arrayElemAt: [
+                { $filter: { input: { $ifNull: ['$statusHistory', []] }, cond: { $eq: ['$$this.status', 'delivered'] } } },
+                0
+              ]
+            }
+          },
+          in: '$$entry.changedAt'
+        }
+      }
+    }
+  },
+  {
+    $addFields: {
+      deliveryMinutes: {
+        $cond: [
+          { $and: ['$isDelivered', { $eq: [{ $type: '$deliveredAt' }, 'date'] }] },
+          { $divide: [{ $subtract: ['$deliveredAt', '$createdAt'] }, 60000] },
+          null
+        ]
+      }
+    }
+  }
+];
+
+// Revenue only counts delivered orders - pending and cancelled orders were never paid for.
+// $avg skips the nulls of undelivered orders.
+const orderAccumulators = (revenueExpression = '$totalAmount') => ({
+  orders: { $sum: 1 },
+  delivered: { $sum: { $cond: ['$isDelivered', 1, 0] } },
+  cancelled: { $sum: { $cond: ['$isCancelled', 1, 0] } },
+  revenue: { $sum: { $cond: ['$isDelivered', revenueExpression, 0] } },
+  averageDeliveryMinutes: { $avg: '$deliveryMinutes' }
+});
+
+const metricFields = {
+  _id: 0,
+  orders: 1,
+  delivered: 1,
+  cancelled: 1,
+  revenue: { $round: ['$revenue', 2] },
+  averageOrderValue: {
+    $cond: [{ $gt: ['$delivered', 0] }, { $round: [{ $divide: ['$revenue', '$delivered'] }, 2] }, 0]
+  },
+  cancellationRate: {
+    $cond: [{ $gt: ['$orders', 0] }, { $round: [{ $divide: ['$cancelled', '$orders'] }, 4] }, 0]
+  },
+  averageDeliveryMinutes: { $round: [{ $ifNull: ['$averageDeliveryMinutes', 0] }, 1] }
+};
+
+const summaryFacet = [
+  { $group: { _id: null, ...orderAccumulators() } },
+  { $project: metricFields }
+];
+
+const EMPTY_SUMMARY = {
+  orders: 0,
+  delivered: 0,
+  cancelled: 0,
+  revenue: 0,
+  averageOrderValue: 0,
+  cancellationRate: 0,
+  averageDeliveryMinutes: 0
+};
+
+// Grouped rows for each report - each returns the stages that follow the shared base
+const BREAKDOWNS = {
+  time: ({ interval, timezone }) => [
+    {
+      $group: {
+        _id: { $dateToString: { format: INTERVAL_FORMATS[interval], date: '$createdAt', timezone } },
+        ...orderAccumulators()
+      }
+    },
+    { $project: { ...metricFields, period: '$_id' } },
+    { $sort: { period: 1 } }
+  ],
+
+  // Revenue here is the product's own line total, not the whole order. Lines are folded back
+  // into one row per order and product first, so an order with the product on two lines still
+  // counts (and weighs in the delivery time average) once.
+  product: () => [
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: { order: '$_id', product: { $ifNull: ['$items.productId', '$items.name'] } },
+        name: { $first: '$items.name' },
+        sizeKg: { $first: '$items.sizeKg' },
+        quantity: { $sum: '$items.quantity' },
+        lineTotal: { $sum: { $multiply: ['$items.price', '$items.quantity'] } },
+        isDelivered: { $first: '$isDelivered' },
+        isCancelled: { $first: '$isCancelled' },
+        deliveryMinutes: { $first: '$deliveryMinutes' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.product',
+        name: { $first: '$name' },
+        sizeKg: { $first: '$sizeKg' },
+        quantity: { $sum: { $cond: ['$isDelivered', '$quantity', 0] } },
+        ...orderAccumulators('$lineTotal')
+      }
+    },
+    { $project: { ...metricFields, productId: '$_id', name: 1, sizeKg: 1, quantity: 1 } },
+    { $sort: { revenue: -1, orders: -1 } }
+  ],
+
+  zone: () => [
+    {
+      $group: {
+        _id: '$zone',
+        name: { $first: '$zoneName' },
+        deliveryFees: { $sum: { $cond: ['$isDelivered', { $ifNull: ['$deliveryFee', 0] }, 0] } },
+        ...orderAccumulators()
+      }
+    },
+    {
+      $project: {
+        ...metricFields,
+        zoneId: '$_id',
+        name: { $ifNull: ['$name', 'No zone'] },
+        deliveryFees: { $round: ['$deliveryFees', 2] }
+      }
+    },
+    { $sort: { revenue: -1, orders: -1 } }
+  ],
+
+  driver: () => [
+    { $group: { _id: '$assignedDriver', ...orderAccumulators() } },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'driver' } },
+    {
+      $project: {
+        ...metricFields,
+        driverId: '$_id',
+        name: {
+          $ifNull: [
+            { $arrayElemAt: ['$driver.name', 0] },
+            { $ifNull: [{ $arrayElemAt: ['$driver.username', 0] }, 'Unassigned'] }
+          ]
+        }
+      }
+    },
+    { $sort: { revenue: -1, orders: -1 } }
+  ]
+};
+
+// Totals for the range plus one breakdown, computed in a single aggregation
+const buildReport = async (range, breakdown, options = {}) => {
+  const [result] = await Order.aggregate([
+    ...baseStages(range),
+    {
+      $facet: {
+        summary: summaryFacet,
+        rows: BREAKDOWNS[breakdown]({ ...options, timezone: range.timezone })
+      }
+    }
+  ]);
+
+  return {
+    from: range.from,
+    to: range.to,
+    timezone: range.timezone,
+    ...options,
+    summary: result.summary[0] || EMPTY_SUMMARY,
+    rows: result.rows
+  };
+};
+
+module.exports = { parseRange, buildReport, INTERVAL_FORMATS };
@@ -0,0 +1,120 @@
+const Order = require('../models/Order');
+const SlotBooking = require('../models/SlotBooking');
+const User = require('../models/User');
+const { getLocalParts, zonedTimeToUtc, addDays } = require('../utils/time');
+
+// Slots must be booked at least this far ahead
+const SLOT_LEAD_MINUTES = parseInt(process.env.SLOT_LEAD_MINUTES, 10) || 60;
+const SLOT_DAYS_AHEAD = parseInt(process.env.SLOT_DAYS_AHEAD, 10) || 7;
+
+// ASAP estimate: base prep and drive time plus a share of the queue per driver
+const ASAP_BASE_MINUTES = 30;
+const ASAP_MINUTES_PER_DROP = 15;
+
+// Every concrete slot a zone offers over the next few days
+const buildSlots = (zone, { from = new Date(), days = SLOT_DAYS_AHEAD } = {}) => {
+  const templates = zone.deliverySlots || [];
+  if (templates.length === 0) return [];
+
+  const earliest = new Date(from.getTime() + SLOT_LEAD_MINUTES * 60 * 1000);
+  const today = getLocalParts(from).date;
+  const slots = [];
+
+  for (let offset = 0; offset < days; offset++) {
+    const date = addDays(today, offset);
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+
+    templates
+      .filter(template => !template.days || template.days.length === 0 || template.days.includes(weekday))
+      .forEach(template => {
+        const start = zonedTimeToUtc(date, template.start);
+        if (start < earliest) return;
+        slots.push({
+          start,
+          end: zonedTimeToUtc(date, template.end),
+          capacity: template.capacity,
+          label: `${date} ${template.start}-${template.end}`
+        });
+      });
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+// Slots with how many places are left - full slots are still listed so the app can grey them out
+const getAvailableSlots = async (zone, options) => {
+  const slots = buildSlots(zone, options);
+  if (slots.length === 0) return [];
+
+  const bookings = await SlotBooking.find({
+    zone: zone._id,
+    start: { $in: slots.map(slot => slot.start) }
+  });
+  const bookedAt = new Map(bookings.map(booking => [booking.start.getTime(), booking.booked]));
+
+  return slots.map(slot => {
+    const remaining = Math.max(slot.capacity - (bookedAt.get(slot.start.getTime()) || 0), 0);
+    return { ...slot, remaining, available: remaining > 0 };
+  });
+};
+
+// Take one place in a slot - returns the slot, or an error when it is unknown or full
+const bookSlot = async (zone, requestedStart) => {
+  const start = new Date(requestedStart);
+  if (Number.isNaN(start.getTime())) {
+    return { error: 'Delivery slot must be a valid date and time' };
+  }
+
+  const slot = buildSlots(zone).find(candidate => candidate.start.getTime() === start.getTime());
+  if (!slot) {
+    return { error: 'That delivery slot is not offered - please pick one from the list' };
+  }
+
+  // Make sure the counter exists, then take a place only if one is left
+  await SlotBooking.updateOne(
+    { zone: zone._id, start: slot.start },
+    { $setOnInsert: { end: slot.end, capacity: slot.capacity, booked: 0 } },
+    { upsert: true }
+  );
+  const booking = await SlotBooking.findOneAndUpdate(
+    { zone: zone._id, start: slot.start, $expr: { $lt: ['$booked', slot.capacity] } },
+    { $inc: { booked: 1 }, $set: { capacity: slot.capacity } },
+    { new: true }
+  );
+
+  if (!booking) {
+    return { error: 'Sorry, that delivery slot is full - please choose another', full: true };
+  }
+  return { slot };
+};
+
+// Give a place back, e.g. when the order is cancelled
+const releaseSlot = async (zoneId, start) => {
+  if (!zoneId || !start) return;
+  await SlotBooking.updateOne(
+    { zone: zoneId, start, booked: { $gt: 0 } },
+    { $inc: { booked: -1 } }
+  );
+};
+
+// When an order placed now should arrive, given how busy we are
+const estimateAsapDelivery = async (zone, from = new Date()) => {
+  const queueQuery = { status: { $in: ['pending', 'confirmed', 'preparing'] }, 'deliverySlot.start': null };
+  if (zone) queueQuery.zone = zone._id;
+
+  const [queued, drivers] = await Promise.all([
+    Order.countDocuments(queueQuery),
+    User.countDocuments({ role: 'driver', isActive: true })
+  ]);
+
+  const minutes = ASAP_BASE_MINUTES + Math.ceil(queued / Math.max(drivers, 1)) * ASAP_MINUTES_PER_DROP;
+  return new Date(from.getTime() + minutes * 60 * 1000);
+};
+
+module.exports = {
+  buildSlots,
+  getAvailableSlots,
+  bookSlot,
+  releaseSlot,
+  estimateAsapDelivery
+};
@@ -0,0 +1,9 @@
+// Development provider - prints messages to the server log instead of sending them
+module.exports = {
+  name: 'console',
+
+  send: async ({ to, body }) => {
+    console.log(`📱 [SMS to ${to}] ${body}`);
+    return { id: `console-${Date.now()}` };
+  }
+};
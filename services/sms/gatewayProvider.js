@@ -0,0 +1,22 @@
+const { postJson } = require('../../utils/http');
+
+// HTTP SMS gateway - POSTs { to, message, sender } to SMS_GATEWAY_URL with a bearer key
+module.exports = {
+  name: 'gateway',
+
+  send: async ({ to, body }) => {
+    if (!process.env.SMS_GATEWAY_URL) {
+      throw new Error('SMS_GATEWAY_URL is not configured');
+    }
+
+    const response = await postJson(process.env.SMS_GATEWAY_URL, {
+      to: `+${to}`,
+      message: body,
+      sender: process.env.SMS_SENDER_ID || 'SagalGas'
+    }, {
+      headers: process.env.SMS_GATEWAY_API_KEY ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}` } : {}
+    });
+
+    return { id: response.id || response.messageId || null };
+  }
+};
@@ -0,0 +1,55 @@
+const consoleProvider = require('./consoleProvider');
+const memoryProvider = require('./memoryProvider');
+const gatewayProvider = require('./gatewayProvider');
+
+// Providers implement { name, send({ to, body }) => Promise<{ id }> }
+const PROVIDERS = {
+  console: consoleProvider,
+  memory: memoryProvider,
+  gateway: gatewayProvider
+};
+
+// Providers that actually reach a phone - console and memory only print or keep the message,
+// OTP codes included, so production must not run on them
+const DELIVERING_PROVIDERS = ['gateway'];
+
+let override = null;
+
+// Name of the configured provider - throws when it is unknown, or missing in production
+const resolveProviderName = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const name = process.env.SMS_PROVIDER || (isProduction ? null : (process.env.NODE_ENV === 'test' ? 'memory' : 'console'));
+  if (!name) {
+    throw new Error(`SMS_PROVIDER must be set in production (one of: ${DELIVERING_PROVIDERS.join(', ')})`);
+  }
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}" (one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  if (isProduction && !DELIVERING_PROVIDERS.includes(name)) {
+    throw new Error(`SMS_PROVIDER "${name}" does not deliver messages and cannot be used in production`);
+  }
+  return name;
+};
+
+const getSmsProvider = () => {
+  if (override) return override;
+  return PROVIDERS[resolveProviderName()];
+};
+
+// Called at startup so a bad configuration stops the deploy instead of losing login codes
+const assertSmsConfigured = () => {
+  const provider = getSmsProvider();
+  if (provider.name === 'gateway' && !process.env.SMS_GATEWAY_URL) {
+    throw new Error('SMS_GATEWAY_URL must be set for the gateway SMS provider');
+  }
+  console.log(`📱 SMS provider: ${provider.name}`);
+};
+
+// Swap the provider at runtime - used by tests and to plug in a real gateway
+const setSmsProvider = (provider) => {
+  override = provider;
+};
+
+const sendSms = (to, body) => getSmsProvider().send({ to, body });
+
+module.exports = { getSmsProvider, setSmsProvider, sendSms, assertSmsConfigured, PROVIDERS };
@@ -0,0 +1,19 @@
+// Test provider - keeps every message in memory so tests can read the codes back
+const outbox = [];
+
+module.exports = {
+  name: 'memory',
+  outbox,
+
+  send: async ({ to, body }) => {
+    const message = { id: `memory-${outbox.length + 1}`, to, body, sentAt: new Date() };
+    outbox.push(message);
+    return { id: message.id };
+  },
+
+  lastMessageTo: (to) => [...outbox].reverse().find(message => message.to === to),
+
+  clear: () => {
+    outbox.length = 0;
+  }
+};
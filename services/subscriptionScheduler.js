@@ -0,0 +1,102 @@
+const Subscription = require('../models/Subscription');
+const orderService = require('./orderService');
+const { ADMIN_ROOM } = require('../socket/rooms');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Turns due subscriptions into orders. `now` and the timer functions are injectable
+// so tests can drive it with a fake clock instead of waiting for real time to pass.
+const createSubscriptionScheduler = ({
+  io,
+  now = () => new Date(),
+  intervalMs = DEFAULT_INTERVAL_MS,
+  placeOrder = orderService.placeOrder,
+  setIntervalFn = setInterval,
+  clearIntervalFn = clearInterval
+} = {}) => {
+  let timer = null;
+  let running = false;
+
+  // Generate the order for one subscription - claims the run first so two servers never double up
+  const runSubscription = async (subscription, at) => {
+    const claimed = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, nextRunAt: subscription.nextRunAt, isPaused: false },
+      { $set: { nextRunAt: subscription.nextRunAfter(at), lastRunAt: at } },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    let result;
+    try {
+      result = await placeOrder(subscription.toOrderInput(), {
+        io,
+        source: 'subscription',
+        subscription: subscription._id
+      });
+    } catch (error) {
+      result = { message: error.message };
+    }
+
+    if (result.order) {
+      await Subscription.updateOne(
+        { _id: subscription._id },
+        { $set: { lastOrder: result.order._id, lastError: null }, $inc: { runCount: 1 } }
+      );
+      console.log(`🔁 Subscription ${subscription._id} generated order ${result.order.orderNumber}`);
+    } else {
+      const reason = [result.message, ...(result.errors || [])].filter(Boolean).join(' - ');
+      await Subscription.updateOne({ _id: subscription._id }, { $set: { lastError: reason } });
+      console.error(`❌ Subscription ${subscription._id} could not generate an order: ${reason}`);
+
+      // Staff call the customer - the next run is already scheduled
+      if (io) {
+        io.to(ADMIN_ROOM).emit('subscription_failed', {
+          subscriptionId: subscription._id,
+          customerName: subscription.customerName,
+          phoneNumber: subscription.phoneNumber,
+          reason
+        });
+      }
+    }
+
+    return result;
+  };
+
+  // One pass over everything that is due
+  const runDue = async () => {
+    if (running) return [];
+    running = true;
+    try {
+      const at = now();
+      const due = await Subscription.find({ isPaused: false, nextRunAt: { $lte: at } }).sort({ nextRunAt: 1 });
+
+      const results = [];
+      for (const subscription of due) {
+        results.push(await runSubscription(subscription, at));
+      }
+      return results.filter(Boolean);
+    } finally {
+      running = false;
+    }
+  };
+
+  const tick = () => {
+    runDue().catch(error => console.error('❌ Subscription scheduler error:', error));
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setIntervalFn(tick, intervalMs);
+    console.log(`🔁 Subscription scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+  };
+
+  const stop = () => {
+    if (!timer) return;
+    clearIntervalFn(timer);
+    timer = null;
+  };
+
+  return { start, stop, runDue, runSubscription };
+};
+
+module.exports = { createSubscriptionScheduler };
@@ -0,0 +1,83 @@
+const DeliveryZone = require('../models/DeliveryZone');
+const { toGeoPoint } = require('../utils/geo');
+const { getLocalParts } = require('../utils/time');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const isOpenAt = (zone, date = new Date()) => {
+  if (!zone.operatingHours || zone.operatingHours.length === 0) return true;
+
+  const { weekday, time } = getLocalParts(date);
+  return zone.operatingHours.some(hours => hours.day === weekday && time >= hours.open && time < hours.close);
+};
+
+const describeHours = (zone) => zone.operatingHours
+  .map(hours => `${DAY_NAMES[hours.day]} ${hours.open}-${hours.close}`)
+  .join(', ');
+
+// Accept a GeoJSON polygon or a bare ring of [longitude, latitude] pairs, closing the ring if needed
+const normalizeArea = (area) => {
+  const rings = area && area.type === 'Polygon' ? area.coordinates : (Array.isArray(area) ? [area] : null);
+  if (!rings || rings.length === 0) return null;
+
+  const closed = rings.map(ring => {
+    if (!Array.isArray(ring) || ring.length < 3) return null;
+    const valid = ring.every(point => Array.isArray(point) && point.length === 2 &&
+      Number.isFinite(Number(point[0])) && Number.isFinite(Number(point[1])));
+    if (!valid) return null;
+
+    const points = ring.map(([lng, lat]) => [Number(lng), Number(lat)]);
+    const [first, last] = [points[0], points[points.length - 1]];
+    if (first[0] !== last[0] || first[1] !== last[1]) points.push(first);
+    return points.length >= 4 ? points : null;
+  });
+
+  if (closed.some(ring => !ring)) return null;
+  return { type: 'Polygon', coordinates: closed };
+};
+
+const findZoneForLocation = (coordinates) => DeliveryZone.findOne({
+  isActive: true,
+  area: { $geoIntersects: { $geometry: toGeoPoint(coordinates) } }
+});
+
+// Decide whether we deliver to a point, and on what terms. Zones are opt-in: until
+// the first zone is set up every location is accepted with no delivery fee.
+const checkServiceability = async ({ coordinates, subtotal, at = new Date() }) => {
+  const zonesConfigured = await DeliveryZone.exists({ isActive: true });
+  if (!zonesConfigured) {
+    return { zone: null, deliveryFee: 0 };
+  }
+
+  if (!coordinates) {
+    return { error: 'Please share your location so we can check that we deliver to you' };
+  }
+
+  const zone = await findZoneForLocation(coordinates);
+  if (!zone) {
+    return { error: 'Sorry, we do not deliver to your area yet' };
+  }
+
+  if (subtotal !== undefined && subtotal < zone.minimumOrder) {
+    return {
+      zone,
+      error: `The minimum order for ${zone.name} is ${zone.minimumOrder}`
+    };
+  }
+
+  if (!isOpenAt(zone, at)) {
+    return {
+      zone,
+      error: `We are closed in ${zone.name} right now. Delivery hours: ${describeHours(zone)}`
+    };
+  }
+
+  return { zone, deliveryFee: zone.deliveryFee };
+};
+
+module.exports = {
+  isOpenAt,
+  normalizeArea,
+  findZoneForLocation,
+  checkServiceability
+};
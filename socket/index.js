@@ -0,0 +1,140 @@
+const Order = require('../models/Order');
+const { resolveTokenUser } = require('../controllers/authController');
+const { buildTrackingView } = require('../utils/orderTracking');
+const { serializeSocketOrder } = require('../serializers/orderSerializer');
+const { ADMIN_ROOM, driverRoom, orderRoom } = require('./rooms');
+const locationService = require('../services/locationService');
+
+// Office staff share the admin room
+const STAFF_ROLES = ['admin', 'dispatcher'];
+
+// Pull the JWT from the handshake - auth payload, query string or Authorization header
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) return handshake.auth.token;
+  if (handshake.query && handshake.query.token) return handshake.query.token;
+
+  const header = handshake.headers && handshake.headers.authorization;
+  if (header && header.startsWith('Bearer')) return header.split(' ')[1];
+  return null;
+};
+
+// Handshake middleware - sockets without a token connect as anonymous customers,
+// sockets with a bad token are refused outright
+const authenticateSocket = async (socket, next) => {
+  const token = getHandshakeToken(socket.handshake);
+  socket.data.user = null;
+
+  if (!token) return next();
+
+  try {
+    const { user, message } = await resolveTokenUser(token);
+    if (!user) return next(new Error(message));
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    console.error('🚨 Socket token verification error:', error.message);
+    next(new Error('Invalid token. Please log in again.'));
+  }
+};
+
+// Place an authenticated socket in the rooms its role is allowed to hear
+const joinRoleRooms = (socket) => {
+  const { user } = socket.data;
+  if (!user) return;
+
+  if (STAFF_ROLES.includes(user.role)) {
+    socket.join(ADMIN_ROOM);
+  }
+  if (user.role === 'driver') {
+    socket.join(driverRoom(user._id));
+  }
+};
+
+// Tell everyone watching an order that it changed - staff get the full order,
+// the assigned driver gets their job, the customer gets the redacted view
+const emitOrderUpdate = async (io, order, event = 'order_updated') => {
+  if (!io) return;
+
+  const payload = serializeSocketOrder(order);
+  io.to(ADMIN_ROOM).emit(event, payload);
+  if (order.assignedDriver) {
+    io.to(driverRoom(order.assignedDriver)).emit(event, payload);
+  }
+  io.to(orderRoom(order.orderNumber)).emit('order_status', await buildTrackingView(order));
+};
+
+const initSocket = (io) => {
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    console.log('✅ Socket connected:', socket.id, user ? `(${user.username}, ${user.role})` : '(anonymous)');
+
+    joinRoleRooms(socket);
+
+    // Legacy dashboard event - only staff may join, and they already have
+    socket.on('join_admin', () => {
+      if (!user || !STAFF_ROLES.includes(user.role)) {
+        socket.emit('error_message', { message: 'You do not have permission to join the admin room' });
+        return;
+      }
+      socket.join(ADMIN_ROOM);
+    });
+
+    // Customers track a single order with its number and the phone it was placed with;
+    // the room then receives 'order_status' with the redacted view on every change
+    socket.on('track_order', async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        // Strings only - an object such as { $ne: null } must never reach the query
+        const orderNumber = payload && payload.orderNumber ? String(payload.orderNumber).trim() : '';
+        const phone = payload && payload.phone ? String(payload.phone).trim() : '';
+        if (!orderNumber || !phone) {
+          return reply({ success: false, message: 'Order number and phone number are required' });
+        }
+
+        const order = await Order.findOne({ orderNumber });
+        if (!order || !order.matchesPhone(phone)) {
+          return reply({ success: false, message: 'Order not found' });
+        }
+
+        socket.join(orderRoom(order.orderNumber));
+        reply({ success: true, data: await buildTrackingView(order) });
+      } catch (error) {
+        console.error('❌ Socket track order error:', error);
+        reply({ success: false, message: 'Failed to track order' });
+      }
+    });
+
+    // Drivers stream GPS pings while on shift
+    socket.on('driver_location', async (payload = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      if (!user || user.role !== 'driver') {
+        return reply({ success: false, message: 'Only drivers can share a location' });
+      }
+      try {
+        const { error } = await locationService.recordDriverLocation(user, payload, io);
+        reply(error ? { success: false, message: error } : { success: true });
+      } catch (error) {
+        console.error('❌ Socket driver location error:', error);
+        reply({ success: false, message: 'Failed to update location' });
+      }
+    });
+
+    socket.on('untrack_order', (payload) => {
+      const orderNumber = payload && payload.orderNumber;
+      if (orderNumber) socket.leave(orderRoom(String(orderNumber)));
+    });
+
+    socket.on('disconnect', () => console.log('❌ Socket disconnected:', socket.id));
+  });
+};
+
+module.exports = {
+  initSocket,
+  emitOrderUpdate,
+  ADMIN_ROOM,
+  driverRoom,
+  orderRoom
+};
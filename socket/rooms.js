@@ -0,0 +1,6 @@
+// Room names shared by the socket handlers and everything that emits to them
+const ADMIN_ROOM = 'admin_room';
+const driverRoom = (driverId) => `driver_${driverId}`;
+const orderRoom = (orderNumber) => `order_${orderNumber}`;
+
+module.exports = { ADMIN_ROOM, driverRoom, orderRoom };
@@ -0,0 +1,12 @@
+const { mock } = require('node:test');
+
+// Services report progress on the console. Node 20's test runner can choke on that output
+// from a test file, so tests mute it - mock.restoreAll() brings it back.
+const quietLogs = () => {
+  ['log', 'info', 'warn', 'error'].forEach(level => mock.method(console, level, () => {}));
+};
+
+// Whether an in-memory row satisfies a flat equality filter, the way the stubbed queries need
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => String(doc[key]) === String(value));
+
+module.exports = { quietLogs, matches };
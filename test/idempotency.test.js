@@ -0,0 +1,160 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotent } = require('../middleware/idempotency');
+const { quietLogs, matches } = require('./helpers');
+
+// The stored keys, and how many times the handler really ran
+let keys;
+let handled;
+let heldResponse;
+
+const app = express();
+app.use(express.json());
+// Stand-in for protectCustomer - the caller comes from a header
+app.use((req, res, next) => {
+  if (req.get('X-Customer')) req.customer = { _id: req.get('X-Customer') };
+  next();
+});
+app.post('/orders/:id/reorder', idempotent('customers:reorder'), (req, res) => {
+  handled++;
+  if (req.body.hold) {
+    heldResponse = res;
+    return;
+  }
+  if (req.body.fail) {
+    return res.status(500).json({ success: false, message: 'Failed to reorder' });
+  }
+  res.status(201).json({ success: true, data: { order: req.params.id, run: handled } });
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  quietLogs();
+  keys = [];
+  handled = 0;
+  heldResponse = null;
+
+  mock.method(IdempotencyKey, 'create', async (doc) => {
+    if (keys.some(entry => entry.scope === doc.scope && entry.key === doc.key)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const record = { _id: new mongoose.Types.ObjectId(), status: 'processing', ...doc };
+    keys.push(record);
+    return record;
+  });
+  mock.method(IdempotencyKey, 'findOne', async (filter) => keys.find(entry => matches(entry, filter)) || null);
+  // Only the lease takeover uses this - claim a processing key whose lease has run out
+  mock.method(IdempotencyKey, 'findOneAndUpdate', async (filter, update) => {
+    const record = keys.find(entry => String(entry._id) === String(filter._id) &&
+      entry.status === filter.status &&
+      !(entry.leaseExpiresAt >= filter.leaseExpiresAt.$not.$gte));
+    return record ? Object.assign(record, update.$set) : null;
+  });
+  mock.method(IdempotencyKey, 'updateOne', async (filter, update) => {
+    const record = keys.find(entry => String(entry._id) === String(filter._id));
+    if (record) Object.assign(record, update.$set);
+    return { modifiedCount: record ? 1 : 0 };
+  });
+  mock.method(IdempotencyKey, 'deleteOne', async (filter) => {
+    keys = keys.filter(entry => String(entry._id) !== String(filter._id));
+    return { deletedCount: 1 };
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+const reorder = (orderId, { key, customer, body = {} } = {}) => fetch(`${baseUrl}/orders/${orderId}/reorder`, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    ...(key ? { 'Idempotency-Key': key } : {}),
+    ...(customer ? { 'X-Customer': customer } : {})
+  },
+  body: JSON.stringify(body)
+});
+
+test('a repeated key replays the first response without running the handler again', async () => {
+  const first = await reorder('A', { key: 'k-1', customer: 'c-1' });
+  const second = await reorder('A', { key: 'k-1', customer: 'c-1' });
+
+  assert.strictEqual(first.status, 201);
+  assert.strictEqual(second.status, 201);
+  assert.strictEqual(second.headers.get('idempotent-replayed'), 'true');
+  assert.deepStrictEqual(await second.json(), await first.json());
+  assert.strictEqual(handled, 1);
+});
+
+test('requests without a key always run', async () => {
+  await reorder('A', { customer: 'c-1' });
+  await reorder('A', { customer: 'c-1' });
+
+  assert.strictEqual(handled, 2);
+  assert.strictEqual(keys.length, 0);
+});
+
+test('keys are scoped to the caller', async () => {
+  await reorder('A', { key: 'k-1', customer: 'c-1' });
+  const other = await reorder('A', { key: 'k-1', customer: 'c-2' });
+
+  assert.strictEqual(other.status, 201);
+  assert.strictEqual(other.headers.get('idempotent-replayed'), null);
+  assert.strictEqual(handled, 2);
+  assert.deepStrictEqual(keys.map(entry => entry.scope), ['customers:reorder:c-1', 'customers:reorder:c-2']);
+});
+
+test('the same key on a different URL or body is refused', async () => {
+  await reorder('A', { key: 'k-1', customer: 'c-1' });
+
+  const otherOrder = await reorder('B', { key: 'k-1', customer: 'c-1' });
+  const otherBody = await reorder('A', { key: 'k-1', customer: 'c-1', body: { note: 'again' } });
+
+  assert.strictEqual(otherOrder.status, 422);
+  assert.strictEqual(otherBody.status, 422);
+  assert.strictEqual(handled, 1);
+});
+
+test('a key still being processed answers 409 until its lease runs out', async () => {
+  const first = reorder('A', { key: 'k-1', customer: 'c-1', body: { hold: true } });
+  while (!heldResponse) await new Promise(resolve => setImmediate(resolve));
+
+  const retry = await reorder('A', { key: 'k-1', customer: 'c-1', body: { hold: true } });
+  assert.strictEqual(retry.status, 409);
+  assert.strictEqual(handled, 1);
+
+  // The first request died without answering - once the lease is over a retry takes the key
+  const abandoned = heldResponse;
+  heldResponse = null;
+  keys[0].leaseExpiresAt = new Date(Date.now() - 1000);
+  const takeover = reorder('A', { key: 'k-1', customer: 'c-1', body: { hold: true } });
+  while (!heldResponse) await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(handled, 2);
+
+  heldResponse.status(201).json({ success: true });
+  assert.strictEqual((await takeover).status, 201);
+  abandoned.status(201).json({ success: true });
+  await first;
+});
+
+test('server errors are not stored, so the client can retry', async () => {
+  const failed = await reorder('A', { key: 'k-1', customer: 'c-1', body: { fail: true } });
+  assert.strictEqual(failed.status, 500);
+  assert.strictEqual(keys.length, 0);
+
+  const retry = await reorder('A', { key: 'k-1', customer: 'c-1', body: { fail: true } });
+  assert.strictEqual(retry.status, 500);
+  assert.strictEqual(handled, 2);
+});
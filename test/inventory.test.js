@@ -0,0 +1,155 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Inventory = require('../models/Inventory');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const inventoryService = require('../services/inventoryService');
+const { quietLogs } = require('./helpers');
+
+const depot = { _id: new mongoose.Types.ObjectId(), code: 'MOG', name: 'Mogadishu' };
+const refill = String(new mongoose.Types.ObjectId());
+const regulator = String(new mongoose.Types.ObjectId());
+const burner = String(new mongoose.Types.ObjectId());
+
+// Stock rows at the depot, the movements logged against them and the orders' stock status
+let rows;
+let movements;
+let stockStatuses;
+
+const rowFor = (filter) => rows.find(row => (filter._id
+  ? String(row._id) === String(filter._id)
+  : String(row.product) === String(filter.product) && String(row.depot) === String(filter.depot)));
+
+const applyInc = (row, inc) => Object.entries(inc).forEach(([field, amount]) => {
+  row[field] += amount;
+});
+
+beforeEach(() => {
+  quietLogs();
+  rows = [
+    new Inventory({ product: refill, depot: depot._id, onHand: 10, reserved: 0 }),
+    new Inventory({ product: regulator, depot: depot._id, onHand: 1, reserved: 0 })
+  ];
+  movements = [];
+  stockStatuses = new Map();
+
+  // The availability check in $expr is the only condition reserveStock adds to the filter
+  mock.method(Inventory, 'findOneAndUpdate', async (filter, update) => {
+    const row = rowFor(filter);
+    if (!row) return null;
+    if (filter.$expr && row.onHand - row.reserved < filter.$expr.$gte[1]) return null;
+    applyInc(row, update.$inc);
+    return row;
+  });
+  mock.method(Inventory, 'exists', async (filter) => (rowFor(filter) ? { _id: rowFor(filter)._id } : null));
+  mock.method(Inventory, 'updateOne', async (filter, update) => {
+    const row = rowFor(filter);
+    if (row) applyInc(row, update.$inc);
+    return { modifiedCount: row ? 1 : 0 };
+  });
+  mock.method(Inventory, 'aggregate', async () => []);
+  mock.method(Product, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(StockMovement, 'create', async (movement) => movements.push(movement));
+  mock.method(Order, 'updateOne', async (filter, update) => {
+    if (stockStatuses.get(String(filter._id)) !== filter.stockStatus) return { modifiedCount: 0 };
+    stockStatuses.set(String(filter._id), update.stockStatus);
+    return { modifiedCount: 1 };
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+const stockOf = (product) => {
+  const { onHand, reserved } = rowFor({ product, depot: depot._id });
+  return { onHand, reserved };
+};
+
+const reservedOrder = (items) => {
+  const order = new Order({
+    customerName: 'Hodan Ali',
+    phoneNumber: '+252615551234',
+    address: 'Maka Al Mukarama Rd',
+    items,
+    totalAmount: 30,
+    orderNumber: 'MOG-20261019-0001',
+    depot: depot._id,
+    stockStatus: 'reserved'
+  });
+  stockStatuses.set(String(order._id), 'reserved');
+  return order;
+};
+
+test('reserving holds stock for every line, adding up repeated products', async () => {
+  const result = await inventoryService.reserveStock([
+    { productId: refill, name: '12kg refill', quantity: 2 },
+    { productId: refill, name: '12kg refill', quantity: 1 },
+    { productId: regulator, name: 'Regulator', quantity: 1 }
+  ], depot, { orderNumber: 'MOG-20261019-0001' });
+
+  assert.deepStrictEqual(result, { ok: true, errors: [] });
+  assert.deepStrictEqual(stockOf(refill), { onHand: 10, reserved: 3 });
+  assert.deepStrictEqual(stockOf(regulator), { onHand: 1, reserved: 1 });
+  assert.deepStrictEqual(movements.map(movement => movement.quantity), [-3, -1]);
+});
+
+test('one short line refuses the whole order and hands back what was already held', async () => {
+  const result = await inventoryService.reserveStock([
+    { productId: refill, name: '12kg refill', quantity: 2 },
+    { productId: regulator, name: 'Regulator', quantity: 2 }
+  ], depot);
+
+  assert.strictEqual(result.ok, false);
+  assert.deepStrictEqual(result.errors, ['Regulator: not enough stock at Mogadishu']);
+  assert.deepStrictEqual(stockOf(refill), { onHand: 10, reserved: 0 });
+  assert.strictEqual(movements.length, 0);
+});
+
+test('a product the depot does not stock is refused, not sold uncounted', async () => {
+  const result = await inventoryService.reserveStock([
+    { productId: refill, name: '12kg refill', quantity: 1 },
+    { productId: burner, name: 'Burner', quantity: 1 }
+  ], depot);
+
+  assert.strictEqual(result.ok, false);
+  assert.deepStrictEqual(result.errors, ['Burner: not stocked at Mogadishu']);
+  assert.deepStrictEqual(stockOf(refill), { onHand: 10, reserved: 0 });
+});
+
+test('releasing a reservation returns the held stock', async () => {
+  const items = [{ productId: refill, name: '12kg refill', quantity: 4 }];
+  await inventoryService.reserveStock(items, depot);
+
+  await inventoryService.releaseReservation(items, depot);
+
+  assert.deepStrictEqual(stockOf(refill), { onHand: 10, reserved: 0 });
+});
+
+test('delivering takes the stock off the shelf exactly once', async () => {
+  const items = [{ productId: refill, name: '12kg refill', quantity: 2, price: 15 }];
+  await inventoryService.reserveStock(items, depot);
+  const order = reservedOrder(items);
+  order.status = 'delivered';
+
+  await inventoryService.applyStatusToStock(order);
+  await inventoryService.applyStatusToStock(order);
+
+  assert.strictEqual(order.stockStatus, 'committed');
+  assert.deepStrictEqual(stockOf(refill), { onHand: 8, reserved: 0 });
+  assert.deepStrictEqual(movements.map(movement => movement.type), ['reserve', 'commit']);
+});
+
+test('cancelling puts the reserved stock back', async () => {
+  const items = [{ productId: refill, name: '12kg refill', quantity: 2, price: 15 }];
+  await inventoryService.reserveStock(items, depot);
+  const order = reservedOrder(items);
+  order.status = 'cancelled';
+
+  await inventoryService.applyStatusToStock(order);
+
+  assert.strictEqual(order.stockStatus, 'released');
+  assert.deepStrictEqual(stockOf(refill), { onHand: 10, reserved: 0 });
+  assert.deepStrictEqual(movements.map(movement => movement.type), ['reserve', 'release']);
+});
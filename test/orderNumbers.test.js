@@ -0,0 +1,117 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.NOTIFICATIONS_ENABLED = 'false';
+
+const Counter = require('../models/Counter');
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const inventoryService = require('../services/inventoryService');
+const zoneService = require('../services/zoneService');
+const scheduleService = require('../services/scheduleService');
+const notificationService = require('../services/notificationService');
+const { placeOrder } = require('../services/orderService');
+const { generateOrderNumber, resolvePrefix, DEFAULT_PREFIX } = require('../utils/generateOrderNumber');
+const { quietLogs } = require('./helpers');
+
+// Mid-morning in Mogadishu, well clear of midnight
+const NOW = new Date('2026-10-19T09:00:00Z');
+
+// The counter documents, by name
+let counters;
+
+beforeEach(() => {
+  quietLogs();
+  counters = new Map();
+  mock.method(Counter, 'findOneAndUpdate', async (filter, update) => {
+    const seq = (counters.get(filter._id) || 0) + update.$inc.seq;
+    counters.set(filter._id, seq);
+    return { _id: filter._id, seq };
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('order numbers are PREFIX-YYYYMMDD-NNNN and count up within the day', async () => {
+  const first = await generateOrderNumber({ prefix: 'MOG', now: NOW });
+  const second = await generateOrderNumber({ prefix: 'MOG', now: NOW });
+
+  assert.strictEqual(first, 'MOG-20261019-0001');
+  assert.strictEqual(second, 'MOG-20261019-0002');
+});
+
+test('each prefix and each day has its own sequence', async () => {
+  await generateOrderNumber({ prefix: 'MOG', now: NOW });
+
+  assert.strictEqual(await generateOrderNumber({ prefix: 'HRG', now: NOW }), 'HRG-20261019-0001');
+  assert.strictEqual(
+    await generateOrderNumber({ prefix: 'MOG', now: new Date(NOW.getTime() + 24 * 60 * 60 * 1000) }),
+    'MOG-20261020-0001'
+  );
+});
+
+test('invalid prefixes fall back to the default', async () => {
+  assert.strictEqual(resolvePrefix(' hrg '), 'HRG');
+  assert.strictEqual(resolvePrefix('TOO-LONG'), DEFAULT_PREFIX);
+  assert.strictEqual(resolvePrefix(undefined), DEFAULT_PREFIX);
+  assert.strictEqual(await generateOrderNumber({ prefix: 'MOG 2', now: NOW }), `${DEFAULT_PREFIX}-20261019-0001`);
+});
+
+test('a first order of the day that loses the race to create the counter still gets a number', async () => {
+  counters.set('order:MOG:20261019', 1);
+  let calls = 0;
+  mock.method(Counter, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    calls++;
+    if (options.upsert) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    const seq = counters.get(filter._id) + update.$inc.seq;
+    counters.set(filter._id, seq);
+    return { _id: filter._id, seq };
+  });
+
+  assert.strictEqual(await generateOrderNumber({ prefix: 'MOG', now: NOW }), 'MOG-20261019-0002');
+  assert.strictEqual(calls, 2);
+});
+
+test('placeOrder takes the next number when the first one is already taken', async () => {
+  const productId = new mongoose.Types.ObjectId();
+  const depot = { _id: new mongoose.Types.ObjectId(), code: 'MOG', name: 'Mogadishu', orderPrefix: 'MOG' };
+  const renamed = [];
+  let attempts = 0;
+
+  mock.method(Product, 'find', async () => [
+    new Product({ _id: productId, name: '12kg refill', category: 'refill', sizeKg: 12, price: 15 })
+  ]);
+  mock.method(zoneService, 'checkServiceability', async () => ({ zone: null, deliveryFee: 0 }));
+  mock.method(Customer, 'findOneAndUpdate', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  mock.method(inventoryService, 'resolveDepot', async () => depot);
+  mock.method(inventoryService, 'reserveStock', async () => ({ ok: true, errors: [] }));
+  mock.method(inventoryService, 'releaseReservation', async () => {
+    throw new Error('The reservation must be kept');
+  });
+  mock.method(inventoryService, 'renameReservation', async (orderId, orderNumber) => {
+    renamed.push({ orderId, orderNumber });
+  });
+  mock.method(Order, 'find', () => ({ select: () => ({ sort: async () => [] }) }));
+  mock.method(Order, 'create', async (data) => {
+    attempts++;
+    if (attempts === 1) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { orderNumber: 1 } });
+    }
+    return new Order(data);
+  });
+  mock.method(scheduleService, 'estimateAsapDelivery', async () => new Date());
+  mock.method(notificationService, 'notifyOrderEvent', () => {});
+
+  const { order } = await placeOrder({
+    customerName: 'Hodan Ali',
+    phoneNumber: '0615551234',
+    address: 'Maka Al Mukarama Rd',
+    items: [{ productId: String(productId), quantity: 1 }]
+  });
+
+  assert.strictEqual(attempts, 2);
+  assert.match(order.orderNumber, /^MOG-\d{8}-0002$/);
+  assert.deepStrictEqual(renamed, [{ orderId: order._id, orderNumber: order.orderNumber }]);
+});
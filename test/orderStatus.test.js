@@ -0,0 +1,119 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Order = require('../models/Order');
+const { updateOrderStatus } = require('../controllers/orderController');
+const { quietLogs } = require('./helpers');
+
+const buildOrder = (fields = {}) => new Order({
+  customerName: 'Hodan Ali',
+  phoneNumber: '+252615551234',
+  address: 'Maka Al Mukarama Rd',
+  items: [{ name: '12kg refill', quantity: 1, price: 15 }],
+  totalAmount: 15,
+  orderNumber: 'SG-20261019-0001',
+  ...fields
+});
+
+const staff = { _id: new mongoose.Types.ObjectId(), role: 'admin', username: 'amina', name: 'Amina' };
+
+// Just enough of an Express response to read back what the controller sent
+const fakeResponse = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+beforeEach(() => quietLogs());
+
+afterEach(() => mock.restoreAll());
+
+test('orders follow the status map and stop at delivered or cancelled', () => {
+  const cases = [
+    ['pending', 'confirmed', true],
+    ['pending', 'delivered', false],
+    ['confirmed', 'on_the_way', true],
+    ['preparing', 'confirmed', false],
+    ['on_the_way', 'delivered', true],
+    ['on_the_way', 'cancelled', true],
+    ['delivered', 'cancelled', false],
+    ['cancelled', 'pending', false]
+  ];
+
+  for (const [from, to, allowed] of cases) {
+    assert.strictEqual(buildOrder({ status: from }).canTransitionTo(to), allowed, `${from} -> ${to}`);
+  }
+  assert.deepStrictEqual(buildOrder({ status: 'delivered' }).allowedNextStatuses(), []);
+  assert.deepStrictEqual(buildOrder({ status: 'cancelled' }).allowedNextStatuses(), []);
+});
+
+test('every status can be cancelled until it is final', () => {
+  for (const [status, next] of Object.entries(Order.STATUS_TRANSITIONS)) {
+    const final = status === 'delivered' || status === 'cancelled';
+    assert.strictEqual(next.includes('cancelled'), !final, status);
+  }
+});
+
+test('a transition records where it came from, who made it and why', () => {
+  const order = buildOrder({ status: 'pending', statusHistory: [{ status: 'pending' }] });
+
+  order.transitionTo('confirmed', { user: staff, note: 'Called the customer' });
+
+  assert.strictEqual(order.status, 'confirmed');
+  assert.strictEqual(order.statusHistory.length, 2);
+  const entry = order.statusHistory[1];
+  assert.strictEqual(entry.status, 'confirmed');
+  assert.strictEqual(entry.from, 'pending');
+  assert.strictEqual(String(entry.changedBy), String(staff._id));
+  assert.strictEqual(entry.changedByName, 'Amina');
+  assert.strictEqual(entry.note, 'Called the customer');
+});
+
+test('the status endpoint refuses a transition the map does not allow', async () => {
+  const order = buildOrder({ status: 'delivered' });
+  const save = mock.method(order, 'save', async () => order);
+  mock.method(Order, 'findOne', async () => order);
+
+  const res = fakeResponse();
+  await updateOrderStatus({ params: { id: String(order._id) }, body: { status: 'cancelled' }, user: staff }, res);
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.strictEqual(res.body.currentStatus, 'delivered');
+  assert.deepStrictEqual(res.body.allowedStatuses, []);
+  assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test('an online order cannot be confirmed before it is paid', async () => {
+  const order = buildOrder({ status: 'pending', paymentMethod: 'online', paymentStatus: 'pending' });
+  const save = mock.method(order, 'save', async () => order);
+  mock.method(Order, 'findOne', async () => order);
+
+  const res = fakeResponse();
+  await updateOrderStatus({ params: { id: String(order._id) }, body: { status: 'confirmed' }, user: staff }, res);
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.strictEqual(res.body.paymentStatus, 'pending');
+  assert.strictEqual(order.status, 'pending');
+  assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test('drivers may only move orders out for delivery or deliver them', async () => {
+  const findOne = mock.method(Order, 'findOne', async () => null);
+
+  const res = fakeResponse();
+  await updateOrderStatus({
+    params: { id: String(new mongoose.Types.ObjectId()) },
+    body: { status: 'cancelled' },
+    user: { ...staff, role: 'driver' }
+  }, res);
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(findOne.mock.callCount(), 0);
+});
@@ -0,0 +1,126 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+process.env.NOTIFICATIONS_ENABLED = 'false';
+process.env.PAYMENT_CURRENCY = 'USD';
+
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const mockProvider = require('../services/payments/mockProvider');
+const paymentService = require('../services/paymentService');
+const { quietLogs, matches } = require('./helpers');
+
+// The payments and orders the webhook reads and updates
+let payments;
+let orders;
+
+beforeEach(() => {
+  quietLogs();
+  process.env.PAYMENT_MOCK_ENABLED = 'true';
+  process.env.PAYMENT_MOCK_WEBHOOK_SECRET = 'test-secret';
+  mockProvider.clear();
+
+  orders = [{ _id: 'order-1', orderNumber: 'SG-20260101-0001', paymentStatus: 'pending' }];
+  payments = [{
+    _id: 'payment-1',
+    order: 'order-1',
+    reference: 'SG-20260101-0001-ABC123',
+    provider: 'mock',
+    status: 'pending',
+    amount: 25.5,
+    currency: 'USD'
+  }];
+
+  mock.method(Payment, 'findOne', async (filter) => payments.find(payment => matches(payment, filter)) || null);
+  mock.method(Payment, 'exists', async (filter) => payments.some(payment => matches(payment, filter)));
+  mock.method(Payment, 'findOneAndUpdate', async (filter, update) => {
+    const payment = payments.find(entry => matches(entry, filter));
+    return payment ? Object.assign(payment, update.$set) : null;
+  });
+  mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+    const order = orders.find(entry => matches(entry, filter));
+    return order ? Object.assign(order, update.$set) : null;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+const sendWebhook = (payload, headers) => {
+  const request = mockProvider.buildWebhook(payload);
+  return paymentService.handleWebhook('mock', {
+    rawBody: request.rawBody,
+    headers: headers || request.headers,
+    body: payload
+  });
+};
+
+const paidEvent = (overrides = {}) => ({
+  reference: 'SG-20260101-0001-ABC123',
+  transactionId: 'mock-1',
+  status: 'paid',
+  amount: 25.5,
+  currency: 'USD',
+  ...overrides
+});
+
+test('mock wallet is off unless explicitly enabled with its own secret', () => {
+  delete process.env.PAYMENT_MOCK_ENABLED;
+  assert.strictEqual(mockProvider.isConfigured(), false);
+
+  process.env.PAYMENT_MOCK_ENABLED = 'true';
+  delete process.env.PAYMENT_MOCK_WEBHOOK_SECRET;
+  assert.strictEqual(mockProvider.isConfigured(), false);
+
+  process.env.PAYMENT_MOCK_WEBHOOK_SECRET = 'test-secret';
+  assert.strictEqual(mockProvider.isConfigured(), true);
+});
+
+test('a disabled mock wallet refuses webhooks', async () => {
+  const request = mockProvider.buildWebhook(paidEvent());
+  delete process.env.PAYMENT_MOCK_ENABLED;
+
+  const result = await paymentService.handleWebhook('mock', { ...request, body: paidEvent() });
+  assert.strictEqual(result.status, 404);
+  assert.strictEqual(payments[0].status, 'pending');
+});
+
+test('a signed paid webhook settles the payment and the order', async () => {
+  const result = await sendWebhook(paidEvent());
+
+  assert.strictEqual(result.payment.status, 'paid');
+  assert.strictEqual(result.order.paymentStatus, 'paid');
+  assert.ok(result.order.paidAt instanceof Date);
+});
+
+test('a repeated webhook is ignored once the payment is settled', async () => {
+  await sendWebhook(paidEvent());
+  const result = await sendWebhook(paidEvent());
+
+  assert.strictEqual(result.ignored, 'Payment already settled');
+});
+
+test('a webhook with a bad signature is rejected', async () => {
+  const result = await sendWebhook(paidEvent(), { 'x-signature': 'deadbeef' });
+
+  assert.strictEqual(result.status, 401);
+  assert.strictEqual(payments[0].status, 'pending');
+  assert.strictEqual(orders[0].paymentStatus, 'pending');
+});
+
+test('a paid webhook for a different amount or currency is refused', async () => {
+  for (const overrides of [{ amount: 1 }, { currency: 'SOS' }, { amount: undefined }]) {
+    const result = await sendWebhook(paidEvent(overrides));
+
+    assert.strictEqual(result.status, 422);
+    assert.strictEqual(payments[0].status, 'pending');
+    assert.strictEqual(orders[0].paymentStatus, 'pending');
+  }
+});
+
+test('a failed webhook marks a pending order failed', async () => {
+  const result = await sendWebhook({ reference: 'SG-20260101-0001-ABC123', status: 'failed', reason: 'Insufficient balance' });
+
+  assert.strictEqual(result.payment.status, 'failed');
+  assert.strictEqual(result.payment.failureReason, 'Insufficient balance');
+  assert.strictEqual(result.order.paymentStatus, 'failed');
+});
@@ -0,0 +1,124 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Subscription = require('../models/Subscription');
+const { createSubscriptionScheduler } = require('../services/subscriptionScheduler');
+const { quietLogs } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = new Date('2026-10-19T06:00:00Z');
+
+// A clock that only moves when the test says so, and timers that only fire when told to
+const createFakeClock = (start) => {
+  let current = start.getTime();
+  const timers = new Map();
+  let nextId = 1;
+
+  return {
+    now: () => new Date(current),
+    advance: (ms) => {
+      current += ms;
+    },
+    setInterval: (fn, ms) => {
+      const id = nextId++;
+      timers.set(id, { fn, ms });
+      return id;
+    },
+    clearInterval: (id) => timers.delete(id),
+    fire: () => timers.forEach(({ fn }) => fn()),
+    timers
+  };
+};
+
+// Let the promise chain started by a fired timer finish
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+let subscriptions;
+
+beforeEach(() => {
+  quietLogs();
+  subscriptions = [new Subscription({
+    _id: new mongoose.Types.ObjectId(),
+    customerName: 'Hodan Cafe',
+    phoneNumber: '0615551234',
+    address: 'Maka Al Mukarama Rd',
+    items: [{ productId: 'CYL-12KG', quantity: 2, purchaseType: 'exchange' }],
+    intervalDays: 7,
+    nextRunAt: new Date(START.getTime() + DAY_MS)
+  })];
+
+  mock.method(Subscription, 'find', (filter) => ({
+    sort: async () => subscriptions.filter(subscription =>
+      subscription.isPaused === filter.isPaused && subscription.nextRunAt <= filter.nextRunAt.$lte)
+  }));
+  mock.method(Subscription, 'findOneAndUpdate', async (filter, update) => {
+    const subscription = subscriptions.find(entry =>
+      String(entry._id) === String(filter._id) && entry.nextRunAt.getTime() === filter.nextRunAt.getTime());
+    return subscription ? Object.assign(subscription, update.$set) : null;
+  });
+  mock.method(Subscription, 'updateOne', async () => ({ modifiedCount: 1 }));
+});
+
+afterEach(() => mock.restoreAll());
+
+test('places an order once the fake clock reaches the next run', async () => {
+  const clock = createFakeClock(START);
+  const placed = [];
+  const scheduler = createSubscriptionScheduler({
+    now: clock.now,
+    intervalMs: 60 * 1000,
+    setIntervalFn: clock.setInterval,
+    clearIntervalFn: clock.clearInterval,
+    placeOrder: async (input, options) => {
+      placed.push({ input, options });
+      return { order: { _id: new mongoose.Types.ObjectId(), orderNumber: `SG-TEST-${placed.length}` } };
+    }
+  });
+
+  scheduler.start();
+  assert.strictEqual(clock.timers.size, 1);
+
+  // Not due yet
+  clock.advance(12 * 60 * 60 * 1000);
+  clock.fire();
+  await flush();
+  assert.strictEqual(placed.length, 0);
+
+  // Past nextRunAt - one order through the normal creation path, and the next run a week later
+  clock.advance(13 * 60 * 60 * 1000);
+  clock.fire();
+  await flush();
+  assert.strictEqual(placed.length, 1);
+  assert.strictEqual(placed[0].options.source, 'subscription');
+  assert.strictEqual(String(placed[0].options.subscription), String(subscriptions[0]._id));
+  assert.strictEqual(placed[0].input.customerName, 'Hodan Cafe');
+  assert.strictEqual(subscriptions[0].nextRunAt.getTime(), START.getTime() + 8 * DAY_MS);
+
+  // The same day again places nothing more
+  clock.fire();
+  await flush();
+  assert.strictEqual(placed.length, 1);
+
+  scheduler.stop();
+  assert.strictEqual(clock.timers.size, 0);
+});
+
+test('paused subscriptions are skipped', async () => {
+  subscriptions[0].isPaused = true;
+  const clock = createFakeClock(START);
+  let placed = 0;
+  const scheduler = createSubscriptionScheduler({
+    now: clock.now,
+    setIntervalFn: clock.setInterval,
+    clearIntervalFn: clock.clearInterval,
+    placeOrder: async () => {
+      placed++;
+      return { order: { _id: new mongoose.Types.ObjectId(), orderNumber: 'SG-TEST' } };
+    }
+  });
+
+  clock.advance(2 * DAY_MS);
+  await scheduler.runDue();
+  assert.strictEqual(placed, 0);
+});
@@ -0,0 +1,12 @@
+// Quote a value for CSV. Cells starting with = + - @ are prefixed so spreadsheets
+// do not run them as formulas.
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(escapeCsv).join(',')}\r\n`;
+
+module.exports = { escapeCsv, toCsvRow };
@@ -1,7 +1,43 @@
-const generateOrderNumber = () => {
-  const timestamp = Date.now().toString();
-  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
-  return `ORD-${timestamp.slice(-6)}-${random}`;
+const Counter = require('../models/Counter');
+const { getLocalParts } = require('./time');
+
+// Short enough to read over the phone: PREFIX-YYYYMMDD-NNNN, restarting at 0001 every local day
+const PREFIX_PATTERN = /^[A-Z0-9]{1,6}$/;
+const SEQUENCE_DIGITS = 4;
+
+const normalizePrefix = (value) => String(value || '').trim().toUpperCase();
+
+const DEFAULT_PREFIX = PREFIX_PATTERN.test(normalizePrefix(process.env.ORDER_NUMBER_PREFIX))
+  ? normalizePrefix(process.env.ORDER_NUMBER_PREFIX)
+  : 'SG';
+
+// A branch's own prefix if it has a valid one, otherwise the company default
+const resolvePrefix = (prefix) => {
+  const normalized = normalizePrefix(prefix);
+  return PREFIX_PATTERN.test(normalized) ? normalized : DEFAULT_PREFIX;
+};
+
+const nextSequence = async (name) => {
+  try {
+    const counter = await Counter.findOneAndUpdate(
+      { _id: name },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+    return counter.seq;
+  } catch (error) {
+    // Two first orders of the day can race to create the counter - the loser just increments it
+    if (error.code !== 11000) throw error;
+    const counter = await Counter.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true });
+    return counter.seq;
+  }
+};
+
+const generateOrderNumber = async ({ prefix, now = new Date() } = {}) => {
+  const branch = resolvePrefix(prefix);
+  const day = getLocalParts(now).date.replace(/-/g, '');
+  const seq = await nextSequence(`order:${branch}:${day}`);
+  return `${branch}-${day}-${String(seq).padStart(SEQUENCE_DIGITS, '0')}`;
 };
 
-module.exports = { generateOrderNumber };
\ No newline at end of file
+module.exports = { generateOrderNumber, resolvePrefix, PREFIX_PATTERN, DEFAULT_PREFIX };
@@ -0,0 +1,31 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Parse and range-check a latitude/longitude pair - returns null when invalid
+const parseCoordinates = (latitude, longitude) => {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (latitude === null || latitude === undefined || latitude === '') return null;
+  if (longitude === null || longitude === undefined || longitude === '') return null;
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) return null;
+  if (!Number.isFinite(lng) || lng < -180 || lng > 180) return null;
+  return { latitude: lat, longitude: lng };
+};
+
+// GeoJSON stores longitude first
+const toGeoPoint = ({ latitude, longitude }) => ({
+  type: 'Point',
+  coordinates: [longitude, latitude]
+});
+
+// Great-circle distance in km - good enough for city deliveries, no maps service needed
+const haversineKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+module.exports = { parseCoordinates, toGeoPoint, haversineKm };
@@ -0,0 +1,45 @@
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// POST a JSON body and resolve with the parsed response - rejects on network errors and non-2xx replies
+const postJson = (url, body, { headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const payload = JSON.stringify(body);
+  const client = target.protocol === 'http:' ? http : https;
+
+  const req = client.request(target, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      ...headers
+    },
+    timeout: timeoutMs
+  }, (res) => {
+    let raw = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { raw += chunk; });
+    res.on('end', () => {
+      let data = raw;
+      try {
+        data = raw ? JSON.parse(raw) : {};
+      } catch (error) {
+        // Not JSON - keep the text for the error message
+      }
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        const error = new Error(`HTTP ${res.statusCode}: ${typeof data === 'string' ? data : JSON.stringify(data)}`.slice(0, 500));
+        error.statusCode = res.statusCode;
+        return reject(error);
+      }
+      resolve(data);
+    });
+  });
+
+  req.on('timeout', () => req.destroy(new Error(`Request timed out after ${timeoutMs}ms`)));
+  req.on('error', reject);
+  req.end(payload);
+});
+
+module.exports = { postJson };
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { zonedTimeToUtc, addDays, isCalendarDate } = require('./time');
+const { DEFAULT_COUNTRY_CODE } = require('./phone');
+const { PREFIX_PATTERN } = require('./generateOrderNumber');
+
+const MAX_SEARCH_LENGTH = 100;
+const PAYMENT_METHODS = ['cash_on_delivery', 'online'];
+const PAYMENT_STATUSES = ['unpaid', 'pending', 'paid', 'refunded', 'failed'];
+
+// The start of an order number: any prefix generateOrderNumber accepts, a dash, then a digit
+const ORDER_NUMBER_SEARCH = new RegExp(`^${PREFIX_PATTERN.source.replace(/^\^|\$$/g, '')}-\\d`, 'i');
+
+// Make user input match literally inside a $regex
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Numbers are stored as typed, so a phone prefix is tried in each form it may have been typed in:
+// 0615..., 615..., 252615..., +252615... and 00252615... - every one an anchored, index-served regex.
+// Numbers typed with spaces or dashes inside only match up to the first separator.
+const phonePrefixClauses = (national) => ['0', '', DEFAULT_COUNTRY_CODE, `+${DEFAULT_COUNTRY_CODE}`, `00${DEFAULT_COUNTRY_CODE}`]
+  .map(prefix => ({ phoneNumber: { $regex: `^${escapeRegex(prefix + national)}` } }));
+
+// Free-text search. Order numbers and phone numbers match from their start (anchored regexes served
+// by the orderNumber and phoneNumber indexes). Anything else matches customer names from their start,
+// so "Moh" finds "Mohamed", or whole words of the name, phone or address through the text index.
+// Returns a filter fragment or { error }.
+const buildSearchFilter = (q) => {
+  const text = String(q).trim();
+  if (!text) return { error: 'Search query is required' };
+  if (text.length > MAX_SEARCH_LENGTH) return { error: `Search query must be at most ${MAX_SEARCH_LENGTH} characters` };
+
+  // A numeric prefix such as "061-555" reads as an order number and a phone number - try both
+  const clauses = [];
+  if (ORDER_NUMBER_SEARCH.test(text)) {
+    clauses.push({ orderNumber: { $regex: `^${escapeRegex(text.toUpperCase())}` } });
+  }
+
+  // Drop the country code and trunk zero to get the national number the prefixes are built on
+  let digits = text.replace(/[\s+()-]/g, '');
+  if (/^\d{4,}$/.test(digits)) {
+    digits = digits.replace(/^00/, '');
+    if (digits.startsWith(DEFAULT_COUNTRY_CODE) && digits.length > DEFAULT_COUNTRY_CODE.length + 3) {
+      digits = digits.slice(DEFAULT_COUNTRY_CODE.length);
+    }
+    clauses.push(...phonePrefixClauses(digits.replace(/^0+/, '')));
+  }
+
+  if (clauses.length > 0) {
+    return { filter: clauses.length === 1 ? clauses[0] : { $or: clauses } };
+  }
+
+  // The case-insensitive prefix walks the customerName index rather than the collection
+  return {
+    filter: {
+      $or: [
+        { customerName: { $regex: `^${escapeRegex(text)}`, $options: 'i' } },
+        { $text: { $search: text } }
+      ]
+    }
+  };
+};
+
+// Non-negative amount from a query string - NaN when it is not one
+const parseAmount = (value) => {
+  const amount = Number(value);
+  return value !== '' && Number.isFinite(amount) && amount >= 0 ? amount : NaN;
+};
+
+// Turn list query parameters into a MongoDB filter - shared by the order list, search and the exports.
+// status (comma separated), zone, driver (id or "unassigned"), from/to (local YYYY-MM-DD, both included),
+// paymentMethod, paymentStatus, minAmount/maxAmount (order total), possibleDuplicate=true and q (search).
+// Returns { filter } or { error }.
+const buildOrderFilter = (params = {}) => {
+  const { status, zone, driver, from, to, paymentMethod, paymentStatus, minAmount, maxAmount, possibleDuplicate, q } = params;
+  let filter = {};
+
+  if (status && status !== 'all') {
+    const statuses = String(status).split(',').map(value => value.trim()).filter(Boolean);
+    const unknown = statuses.filter(value => !Order.ORDER_STATUSES.includes(value));
+    if (unknown.length > 0) {
+      return { error: `Unknown status: ${unknown.join(', ')}` };
+    }
+    filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+
+  if (zone && zone !== 'all' && mongoose.Types.ObjectId.isValid(zone)) {
+    filter.zone = zone;
+  }
+
+  if (driver && driver !== 'all') {
+    if (driver === 'unassigned') {
+      filter.assignedDriver = null;
+    } else if (mongoose.Types.ObjectId.isValid(driver)) {
+      filter.assignedDriver = driver;
+    } else {
+      return { error: 'Driver must be a driver id or "unassigned"' };
+    }
+  }
+
+  if (from || to) {
+    if ((from && !isCalendarDate(from)) || (to && !isCalendarDate(to))) {
+      return { error: 'from and to must be valid dates in YYYY-MM-DD format' };
+    }
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = zonedTimeToUtc(from, '00:00');
+    if (to) filter.createdAt.$lt = zonedTimeToUtc(addDays(to, 1), '00:00');
+  }
+
+  if (paymentMethod && paymentMethod !== 'all') {
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      return { error: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` };
+    }
+    filter.paymentMethod = paymentMethod;
+  }
+
+  if (paymentStatus && paymentStatus !== 'all') {
+    if (!PAYMENT_STATUSES.includes(paymentStatus)) {
+      return { error: `Payment status must be one of: ${PAYMENT_STATUSES.join(', ')}` };
+    }
+    filter.paymentStatus = paymentStatus;
+  }
+
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    const min = minAmount !== undefined ? parseAmount(minAmount) : undefined;
+    const max = maxAmount !== undefined ? parseAmount(maxAmount) : undefined;
+    if (Number.isNaN(min) || Number.isNaN(max)) {
+      return { error: 'minAmount and maxAmount must be positive numbers' };
+    }
+    if (min !== undefined && max !== undefined && min > max) {
+      return { error: 'minAmount must not be more than maxAmount' };
+    }
+    filter.totalAmount = {};
+    if (min !== undefined) filter.totalAmount.$gte = min;
+    if (max !== undefined) filter.totalAmount.$lte = max;
+  }
+
+  if (possibleDuplicate === 'true') {
+    filter.duplicateStatus = 'flagged';
+  }
+
+  if (q !== undefined) {
+    const search = buildSearchFilter(q);
+    if (search.error) return { error: search.error };
+    filter = { ...filter, ...search.filter };
+  }
+
+  return { filter };
+};
+
+module.exports = { buildOrderFilter, buildSearchFilter, escapeRegex };
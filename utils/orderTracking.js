@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Fallback ETA used until an order has an explicit estimatedDelivery
+const DEFAULT_ETA_MINUTES = 45;
+
+// Driver's first name for the customer - never the full staff record
+const getDriverFirstName = async (assignedDriver) => {
+  if (!assignedDriver || !mongoose.Types.ObjectId.isValid(assignedDriver)) return null;
+  const driver = await User.findById(assignedDriver).select('name username');
+  if (!driver) return null;
+  return (driver.name || driver.username).split(' ')[0];
+};
+
+// Redacted view of an order for customers - no address, phone or pricing internals
+const buildTrackingView = async (order) => {
+  const isOpen = !['delivered', 'cancelled'].includes(order.status);
+  const eta = order.estimatedDelivery ||
+    new Date(order.createdAt.getTime() + DEFAULT_ETA_MINUTES * 60 * 1000);
+
+  return {
+    orderNumber: order.orderNumber,
+    status: order.status,
+    // Orders placed before the timeline existed only know their current status
+    timeline: order.statusHistory && order.statusHistory.length > 0
+      ? order.statusHistory.map(entry => ({ status: entry.status, at: entry.changedAt }))
+      : [{ status: order.status, at: order.updatedAt || order.createdAt }],
+    estimatedDelivery: isOpen ? eta : null,
+    deliveryWindow: order.deliverySlot && order.deliverySlot.start
+      ? { start: order.deliverySlot.start, end: order.deliverySlot.end }
+      : null,
+    driverName: await getDriverFirstName(order.assignedDriver),
+    placedAt: order.createdAt,
+    updatedAt: order.updatedAt
+  };
+};
+
+module.exports = { buildTrackingView, DEFAULT_ETA_MINUTES };
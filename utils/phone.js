@@ -0,0 +1,33 @@
+// Country code assumed for local numbers like "0615551234" or "615551234"
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || '252';
+
+// Strip everything but digits so "+252 61-555 1234" and "0615551234" compare cleanly
+const digitsOnly = (phone) => {
+  if (!phone) return '';
+  return String(phone).replace(/\D/g, '');
+};
+
+// Canonical international form without the "+", e.g. "252615551234" - used as a lookup key
+const normalizePhone = (phone) => {
+  let digits = digitsOnly(phone);
+  if (!digits) return '';
+
+  if (digits.startsWith('00')) return digits.slice(2);
+  if (digits.startsWith(DEFAULT_COUNTRY_CODE) && digits.length > 9) return digits;
+  if (digits.startsWith('0')) digits = digits.replace(/^0+/, '');
+  return `${DEFAULT_COUNTRY_CODE}${digits}`;
+};
+
+// Match two phone numbers ignoring formatting and country/trunk prefixes
+const phonesMatch = (a, b) => {
+  const left = digitsOnly(a);
+  const right = digitsOnly(b);
+  if (left.length < 7 || right.length < 7) return false;
+
+  const shorter = left.length <= right.length ? left : right;
+  const longer = shorter === left ? right : left;
+  const tail = shorter.replace(/^0+/, '');
+  return tail.length >= 7 && longer.endsWith(tail);
+};
+
+module.exports = { normalizePhone, phonesMatch, DEFAULT_COUNTRY_CODE };
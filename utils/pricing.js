@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+// Allowed difference before a client total counts as a mismatch (rounding)
+const TOTAL_TOLERANCE = 0.01;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Refills are always swaps; cylinders default to a new purchase unless the customer has an empty
+const resolvePurchaseType = (product, requested) => {
+  if (!product.sizeKg || product.category === 'accessory') return undefined;
+  if (product.category === 'refill') return 'exchange';
+  return requested === 'exchange' ? 'exchange' : 'new';
+};
+
+// Items may reference a product by id or by SKU
+const getProductRef = (item) => String(item.productId || item.id || item.sku || '').trim();
+
+// One empty per exchanged cylinder, grouped by size
+const getEmptiesExpected = (items) => {
+  const bySize = new Map();
+  items.filter(item => item.purchaseType === 'exchange').forEach(item => {
+    bySize.set(item.sizeKg, (bySize.get(item.sizeKg) || 0) + item.quantity);
+  });
+  return [...bySize.entries()].map(([sizeKg, quantity]) => ({ sizeKg, quantity }));
+};
+
+// Rebuild order lines, deposits and totals from the catalog - client prices are never trusted
+const priceOrderItems = async (items) => {
+  const refs = items.map(getProductRef).filter(Boolean);
+  const ids = refs.filter(ref => mongoose.Types.ObjectId.isValid(ref));
+  const skus = refs.map(ref => ref.toUpperCase());
+
+  const products = await Product.find({
+    $or: [{ _id: { $in: ids } }, { sku: { $in: skus } }]
+  });
+
+  const findProduct = (ref) => products.find(product =>
+    product._id.toString() === ref || (product.sku && product.sku === ref.toUpperCase())
+  );
+
+  const errors = [];
+  const pricedItems = [];
+  let subtotal = 0;
+  let depositTotal = 0;
+
+  items.forEach((item, index) => {
+    const label = item.name || item.product || `Item ${index + 1}`;
+    const ref = getProductRef(item);
+    const quantity = Number(item.quantity);
+
+    if (!ref) {
+      errors.push(`${label}: product id is required`);
+      return;
+    }
+
+    const product = findProduct(ref);
+    if (!product) {
+      errors.push(`${label}: unknown product`);
+      return;
+    }
+    if (!product.isActive) {
+      errors.push(`${product.name}: no longer available`);
+      return;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`${product.name}: quantity must be a whole number of at least 1`);
+      return;
+    }
+
+    const purchaseType = resolvePurchaseType(product, item.purchaseType);
+    const deposit = purchaseType === 'new' ? product.depositAmount || 0 : 0;
+
+    pricedItems.push({
+      productId: product._id.toString(),
+      name: product.name,
+      quantity,
+      price: product.price,
+      image: product.image || item.image,
+      sizeKg: purchaseType ? product.sizeKg : undefined,
+      purchaseType,
+      deposit
+    });
+    subtotal += product.price * quantity;
+    depositTotal += deposit * quantity;
+  });
+
+  return {
+    items: pricedItems,
+    subtotal: roundMoney(subtotal),
+    depositTotal: roundMoney(depositTotal),
+    total: roundMoney(subtotal + depositTotal),
+    emptiesExpected: getEmptiesExpected(pricedItems),
+    errors
+  };
+};
+
+// Compare the client's total against ours - only ever used for a warning
+const checkClientTotal = (clientTotal, serverTotal) => {
+  if (clientTotal === undefined || clientTotal === null || clientTotal === '') return null;
+
+  const claimed = Number(clientTotal);
+  if (Number.isFinite(claimed) && Math.abs(claimed - serverTotal) <= TOTAL_TOLERANCE) return null;
+
+  return `Order total was recalculated from current prices: ${serverTotal} (app sent ${clientTotal})`;
+};
+
+module.exports = { priceOrderItems, checkClientTotal, roundMoney };
@@ -0,0 +1,59 @@
+// Shop-local time helpers - operating hours and delivery slots are all local time
+const TIMEZONE = process.env.TIMEZONE || 'Africa/Mogadishu';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Calendar parts of a moment as seen in the given timezone
+const getLocalParts = (date, timeZone = TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    weekday: WEEKDAYS.indexOf(get('weekday')),
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    time: `${get('hour')}:${get('minute')}`
+  };
+};
+
+// The UTC instant of a local wall-clock time, e.g. ('2026-10-20', '09:00')
+const zonedTimeToUtc = (dateString, time, timeZone = TIMEZONE) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Shift by however far the zone's wall clock is from UTC at that moment
+  const local = getLocalParts(new Date(guess), timeZone);
+  const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+  return new Date(guess - (localAsUtc - guess));
+};
+
+// Local calendar date n days after the given one, as YYYY-MM-DD
+const addDays = (dateString, days) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day + days));
+  return next.toISOString().slice(0, 10);
+};
+
+// A real calendar date as YYYY-MM-DD - "2026-02-31" or "2026-13-01" would otherwise roll over
+// into another day when passed to Date.UTC
+const isCalendarDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10) === value;
+};
+
+module.exports = { TIMEZONE, getLocalParts, zonedTimeToUtc, addDays, isCalendarDate };
@@ -0,0 +1,9 @@
+const { validate } = require('../middleware/validation');
+
+exports.validateLogin = validate({
+  body: {
+    username: { type: 'string', required: true, maxLength: 50 },
+    // Passwords are checked exactly as typed
+    password: { type: 'string', required: true, maxLength: 200, trim: false }
+  }
+});
@@ -0,0 +1,133 @@
+const { validate } = require('../middleware/validation');
+const { ORDER_STATUSES } = require('../models/Order');
+const { LANGUAGES } = require('../services/notifications/templates');
+const { parseSort, SORT_FIELDS } = require('../services/orderQueryService');
+
+// Logged in customers can leave out what their account already knows
+const isGuest = (req) => !req.customer;
+
+const orderIdParams = {
+  id: { type: 'objectId', required: true, message: 'Order id is not valid' }
+};
+
+const note = { type: 'string', maxLength: 500 };
+
+// Either half of a map pin on its own is useless
+const location = {
+  type: 'object',
+  fields: {
+    latitude: { type: 'number', min: -90, max: 90 },
+    longitude: { type: 'number', min: -180, max: 180 }
+  },
+  check: (value) => ((value.latitude === undefined) !== (value.longitude === undefined)
+    ? 'needs both latitude and longitude'
+    : undefined)
+};
+
+// A start time, or { start } as the slot picker sends it
+const deliverySlot = {
+  check: (value) => {
+    const start = value && typeof value === 'object' ? value.start : value;
+    return Number.isNaN(new Date(start).getTime()) ? 'must be a date or { start }' : undefined;
+  }
+};
+
+const listQuery = {
+  limit: { type: 'integer', min: 1 },
+  page: { type: 'integer', min: 1 },
+  // A leading "-" sorts newest or largest first
+  sort: {
+    type: 'string',
+    check: (value) => (parseSort({ sort: value }).error ? `must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` : undefined)
+  },
+  order: { type: 'string', enum: ['asc', 'desc'] },
+  cursor: { type: 'string', maxLength: 200 }
+};
+
+exports.validateCreateOrder = validate({
+  body: {
+    customerName: { type: 'string', required: isGuest, maxLength: 100 },
+    phoneNumber: { type: 'phone', required: isGuest },
+    address: { type: 'string', required: isGuest, maxLength: 300 },
+    addressId: { type: 'objectId' },
+    items: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: 50,
+      items: {
+        type: 'object',
+        fields: {
+          productId: { type: 'string', required: true, maxLength: 64 },
+          quantity: { type: 'integer', required: true, min: 1, max: 100 },
+          purchaseType: { type: 'string', enum: ['exchange', 'new'] }
+        }
+      }
+    },
+    totalAmount: { type: 'number', min: 0 },
+    paymentMethod: { type: 'string', enum: ['cash_on_delivery', 'online'] },
+    paymentProvider: { type: 'string', maxLength: 30 },
+    paymentPhone: { type: 'phone' },
+    location,
+    deliverySlot,
+    depot: { type: 'string', maxLength: 40 },
+    language: { type: 'string', enum: LANGUAGES },
+    notes: note
+  }
+});
+
+exports.validateTrackOrder = validate({
+  params: {
+    orderNumber: { type: 'string', required: true, maxLength: 40 }
+  },
+  query: {
+    phone: { type: 'phone', required: true, message: 'Phone number is required to track an order' }
+  }
+});
+
+exports.validateListOrders = validate({ query: listQuery });
+
+exports.validateSearchOrders = validate({
+  query: {
+    ...listQuery,
+    q: { type: 'string', required: true, maxLength: 100, message: 'Search query is required' }
+  }
+});
+
+exports.validateOrderId = validate({ params: orderIdParams });
+
+exports.validateUpdateStatus = validate({
+  params: orderIdParams,
+  body: {
+    status: { type: 'string', required: true, enum: ORDER_STATUSES },
+    note,
+    cashCollected: { type: 'number', min: 0 },
+    // A count or a list per cylinder size - checked against the order in depositService
+    emptiesCollected: {
+      check: (value) => (typeof value === 'object' && !Array.isArray(value) ? 'must be a number or a list' : undefined)
+    }
+  }
+});
+
+exports.validateAssignDriver = validate({
+  params: orderIdParams,
+  body: {
+    driverId: { type: 'objectId', required: true, message: 'A valid driver is required' },
+    note
+  }
+});
+
+exports.validateDeleteOrder = validate({
+  params: orderIdParams,
+  body: {
+    reason: { type: 'string', required: true, minLength: 3, maxLength: 500, message: 'A reason of at least 3 characters is required to delete an order' }
+  }
+});
+
+exports.validateNearestDrivers = validate({
+  params: orderIdParams,
+  query: {
+    limit: { type: 'integer', min: 1, max: 20 },
+    maxKm: { type: 'number', min: 0 }
+  }
+});